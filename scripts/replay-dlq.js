@@ -0,0 +1,135 @@
+/**
+ * DLQ Replay Script
+ *
+ * Re-publishes analysis results that landed on the DLQ topic (failed validation or
+ * publishing) to the main topic, once the cause has been fixed.
+ * Run with: node scripts/replay-dlq.js [--max N] [--idle-seconds S] [--assume-version V] [--dry-run]
+ *
+ * Messages are read from the PUBSUB_DLQ_SUBSCRIPTION subscription. Error reports
+ * published by the error handler on the same topic are not replayable and are
+ * acknowledged as skipped. Payloads built for an earlier schema version are upgraded
+ * to the current one first; messages dead-lettered before the DLQ recorded the version
+ * are rejected unless --assume-version gives it. The replay stops at the first message
+ * that fails again or is rejected, leaving it (and the rest) on the subscription.
+ */
+import { getDlqSubscription, publishResults, DLQ_FAILED_PUBLISH_KIND } from '../src/utils/pubsub.js';
+import { upgradeBoeParserMessage } from '../src/utils/schemas/pubsubMessages.js';
+
+/**
+ * Parse command line options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} - Options { max, idleSeconds, assumeVersion, dryRun }
+ */
+function parseArgs(args) {
+  const options = { max: Infinity, idleSeconds: 10, assumeVersion: null, dryRun: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--max') options.max = parseInt(args[++i], 10);
+    else if (args[i] === '--idle-seconds') options.idleSeconds = parseInt(args[++i], 10);
+    else if (args[i] === '--assume-version') options.assumeVersion = args[++i];
+    else if (args[i] === '--dry-run') options.dryRun = true;
+    else {
+      console.error(`Unknown option: ${args[i]}`);
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+/**
+ * Read the results payload of a DLQ message, upgraded to the current schema version
+ * @param {Object} message - DLQ message
+ * @param {Object} options - Command line options
+ * @returns {{payload: Object, error: Object}} - Payload to republish and the error that sent it to the DLQ
+ */
+function readDlqMessage(message, options) {
+  const { original_payload: payload, error } = JSON.parse(message.data.toString());
+  const version = message.attributes?.schema_version || options.assumeVersion;
+  if (!version) {
+    throw new Error('Message has no schema_version attribute; pass --assume-version with the version it was built for');
+  }
+  return { payload: upgradeBoeParserMessage(payload, version), error };
+}
+
+async function replayDlq() {
+  const options = parseArgs(process.argv.slice(2));
+  const counts = { replayed: 0, skipped: 0, failed: 0, seen: 0 };
+
+  const subscription = getDlqSubscription({
+    flowControl: { maxMessages: Number.isFinite(options.max) ? options.max : 100, allowExcessMessages: false }
+  });
+
+  console.log('=== DLQ Replay ===');
+  console.log(`Subscription: ${subscription.name}${options.dryRun ? ' (dry run, nothing is acknowledged)' : ''}`);
+
+  await new Promise(resolve => {
+    let idleTimer;
+    let stopped = false;
+
+    const stop = () => {
+      if (stopped) return;
+      stopped = true;
+      clearTimeout(idleTimer);
+      resolve();
+    };
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(stop, options.idleSeconds * 1000);
+    };
+
+    subscription.on('message', async message => {
+      if (stopped || counts.seen >= options.max) {
+        // Delivered while stopping; released so it is not held until its ack deadline
+        message.nack();
+        return;
+      }
+      counts.seen++;
+      resetIdleTimer();
+
+      const traceId = message.attributes?.traceId || '(none)';
+      if (message.attributes?.kind !== DLQ_FAILED_PUBLISH_KIND) {
+        console.log(`Skipping non-replayable message ${message.id} (error report)`);
+        counts.skipped++;
+        if (!options.dryRun) message.ack();
+      } else if (options.dryRun) {
+        try {
+          const { error } = readDlqMessage(message, options);
+          console.log(`Would replay message ${message.id} - Trace ID: ${traceId}, Stage: ${error?.stage}, Error: ${error?.message}`);
+        } catch (error) {
+          console.error(`Would reject message ${message.id} - Trace ID: ${traceId}, Error: ${error.message}`);
+          counts.failed++;
+        }
+      } else {
+        try {
+          const { payload } = readDlqMessage(message, options);
+          const messageId = await publishResults(payload, { deadLetter: false });
+          console.log(`Replayed message ${message.id} - Trace ID: ${traceId}, New Message ID: ${messageId}`);
+          counts.replayed++;
+          message.ack();
+        } catch (error) {
+          console.error(`Replay failed for message ${message.id} - Trace ID: ${traceId}, Error: ${error.message}`);
+          counts.failed++;
+          message.nack();
+          stop();
+          return;
+        }
+      }
+
+      if (counts.seen >= options.max) stop();
+    });
+
+    subscription.on('error', error => {
+      console.error('Subscription error:', error);
+      counts.failed++;
+      stop();
+    });
+
+    resetIdleTimer();
+  });
+
+  await subscription.close();
+
+  console.log(`\nReplayed: ${counts.replayed}, Skipped: ${counts.skipped}, Failed: ${counts.failed}`);
+  process.exit(counts.failed > 0 ? 1 : 0);
+}
+
+replayDlq();
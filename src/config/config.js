@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 import { SecretManagerServiceClient } from '@google-cloud/secret-manager';
 import fs from 'fs'; // Import fs for reading files
 import path from 'path'; // Import path
+import os from 'os';
 
 // Load environment variables from .env file (primarily for local dev)
 dotenv.config();
@@ -58,19 +59,126 @@ const config = {
     gemini: {
       apiKey: process.env.GEMINI_API_KEY || '',
       model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-lite',
+      embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY || '',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
     },
     pubsub: {
       topicId: pubsubTopicName,
       errorTopicId: pubsubDlqTopicName,
+      // Pull subscription on the boe-analysis-tasks topic, consumed by the worker entrypoint
+      tasksSubscriptionId: process.env.PUBSUB_TASKS_SUBSCRIPTION || 'boe-analysis-tasks-sub',
+      // Subscription on the DLQ topic read by the replay command
+      dlqSubscriptionId: process.env.PUBSUB_DLQ_SUBSCRIPTION || `${pubsubDlqTopicName}-replay`,
+      // Results messages published per request (one message), per prompt or per match
+      publishGranularity: process.env.PUBSUB_PUBLISH_GRANULARITY || 'request',
     },
   },
   auth: {
     apiKey: process.env.PARSER_API_KEY || '', // Try direct env var first
     apiKeySecretName: 'PARSER_API_KEY',
   },
+  analysis: {
+    // AI provider used when a request does not set "service": gemini or openai
+    defaultService: process.env.ANALYSIS_DEFAULT_SERVICE || 'gemini',
+    // Providers tried in order when the requested one fails, as "service" or "service:model" separated
+    // by commas, e.g. "gemini:gemini-2.0-flash-lite,gemini:gemini-1.5-flash,openai:gpt-4o-mini"
+    fallbackChain: (process.env.ANALYSIS_FALLBACK_CHAIN || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [service, ...model] = entry.split(':');
+        return { service: service.trim(), model: model.join(':').trim() || null };
+      }),
+    // Batch endpoint: subscriptions accepted per request and prompts analyzed at a time
+    maxBatchSubscriptions: parseInt(process.env.ANALYSIS_MAX_BATCH_SUBSCRIPTIONS || '500', 10),
+    batchConcurrency: parseInt(process.env.ANALYSIS_BATCH_CONCURRENCY || '5', 10),
+    // Matches kept per prompt and issue, best scored first
+    maxMatchesPerPrompt: parseInt(process.env.ANALYSIS_MAX_MATCHES_PER_PROMPT || '20', 10),
+    // Items sent to the model in one call, counted in tokens; larger analyses are split into chunks
+    chunking: {
+      maxTokens: parseInt(process.env.ANALYSIS_CHUNK_MAX_TOKENS || '100000', 10),
+    },
+    // Lexical pre-ranking: only the top-N items per prompt are sent to the model
+    prefilter: {
+      enabled: process.env.ANALYSIS_PREFILTER_ENABLED !== 'false',
+      topN: parseInt(process.env.ANALYSIS_PREFILTER_TOP_N || '60', 10),
+    },
+    // Semantic retrieval: the top-k items by embedding similarity are added to the candidates
+    semantic: {
+      enabled: process.env.ANALYSIS_SEMANTIC_ENABLED === 'true',
+      topK: parseInt(process.env.ANALYSIS_SEMANTIC_TOP_K || '30', 10),
+      cacheDates: parseInt(process.env.ANALYSIS_SEMANTIC_CACHE_DATES || '7', 10),
+    },
+  },
+  bulletins: {
+    doga: {
+      // {date} is replaced with the date in YYYYMMDD format
+      summaryUrl: process.env.DOGA_SUMMARY_URL || 'https://www.xunta.gal/diario-oficial-galicia/portalPublicoHome.do?fecha={date}&lang=es',
+    },
+  },
+  worker: {
+    // Tasks processed at the same time by one worker
+    maxConcurrentTasks: parseInt(process.env.WORKER_MAX_CONCURRENT_TASKS || '2', 10),
+    // Deliveries before a failing task is given up, unless the task sets max_retries
+    maxDeliveryAttempts: parseInt(process.env.WORKER_MAX_DELIVERY_ATTEMPTS || '5', 10),
+  },
+  jobs: {
+    // memory, filesystem or gcs, defaulting to the cache backend; only gcs is shared between instances
+    backend: process.env.JOBS_BACKEND || '',
+    // Finished jobs can be fetched for this long
+    ttlSeconds: parseInt(process.env.JOBS_TTL_SECONDS || '86400', 10),
+    maxJobs: parseInt(process.env.JOBS_MAX_ENTRIES || '1000', 10),
+    // Async jobs keep running after their 202 is sent, which on Cloud Run needs CPU always allocated
+    // (--no-cpu-throttling); set to true once the service is deployed that way
+    cpuAlwaysOn: process.env.JOBS_CPU_ALWAYS_ON === 'true',
+  },
+  seenSet: {
+    // Matches already notified to a subscription are marked (already_notified: true), dropped, or left alone (off)
+    mode: process.env.SEEN_SET_MODE || 'mark',
+    // memory, filesystem or gcs; filesystem keeps the history across restarts, gcs also across instances
+    backend: process.env.SEEN_SET_BACKEND || 'filesystem',
+    directory: process.env.SEEN_SET_DIR || path.join(os.tmpdir(), 'boe-parser-seen'),
+    // Dispositions are forgotten this long after they were notified
+    ttlDays: parseInt(process.env.SEEN_SET_TTL_DAYS || '30', 10),
+    maxSubscriptions: parseInt(process.env.SEEN_SET_MAX_SUBSCRIPTIONS || '10000', 10),
+  },
+  idempotency: {
+    // Repeated /analyze-text requests within this window get the stored response
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400', 10),
+    maxEntries: parseInt(process.env.IDEMPOTENCY_MAX_ENTRIES || '5000', 10),
+  },
+  cache: {
+    // memory, filesystem, gcs or none
+    backend: process.env.CACHE_BACKEND || 'memory',
+    directory: process.env.CACHE_DIR || path.join(os.tmpdir(), 'boe-parser-cache'),
+    // Bucket of the gcs backend, shared by every instance
+    gcsBucket: process.env.CACHE_GCS_BUCKET || '',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '60', 10),
+    // Today's issue may still be missing or change; past issues never do and are cached without expiry
+    todayTtlSeconds: parseInt(process.env.CACHE_TODAY_TTL_SECONDS || '900', 10),
+  },
+  outbox: {
+    // Results are written here before publishing and removed once Pub/Sub acknowledges them
+    enabled: process.env.OUTBOX_ENABLED !== 'false',
+    directory: process.env.OUTBOX_DIR || path.join(os.tmpdir(), 'boe-parser-outbox'),
+    // Publish attempts before a message is sent to the DLQ, with exponential backoff between them
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10),
+    retryBaseDelayMs: parseInt(process.env.OUTBOX_RETRY_BASE_DELAY_MS || '2000', 10),
+    retryMaxDelayMs: parseInt(process.env.OUTBOX_RETRY_MAX_DELAY_MS || '300000', 10),
+    flushIntervalMs: parseInt(process.env.OUTBOX_FLUSH_INTERVAL_MS || '5000', 10),
+  },
   scraper: {
       timeout: parseInt(process.env.SCRAPER_TIMEOUT_MS || '15000', 10),
-      userAgent: process.env.SCRAPER_USER_AGENT || 'BOE Parser Bot/1.0'
+      userAgent: process.env.SCRAPER_USER_AGENT || 'BOE Parser Bot/1.0',
+      maxRangeDays: parseInt(process.env.SCRAPER_MAX_RANGE_DAYS || '31', 10),
+      // Full-text pass: matches fetched per prompt, concurrent fetches and text sent to the model
+      maxFullTextDocuments: parseInt(process.env.SCRAPER_MAX_FULL_TEXT_DOCUMENTS || '10', 10),
+      fullTextConcurrency: parseInt(process.env.SCRAPER_FULL_TEXT_CONCURRENCY || '3', 10),
+      maxFullTextChars: parseInt(process.env.SCRAPER_MAX_FULL_TEXT_CHARS || '30000', 10)
   }
 };
 
@@ -94,6 +202,7 @@ export async function loadSecrets() {
   // Define the mapping between config paths and actual Secret Manager names
   const secretMap = {
       'services.gemini.apiKey': 'GEMINI_API_KEY',
+      'services.openai.apiKey': 'OPENAI_API_KEY',
       'auth.apiKey': 'PARSER_API_KEY',
       // Add other mappings if needed
   };
@@ -106,6 +215,12 @@ export async function loadSecrets() {
   
   // Check if other keys are needed
   if (!config.services.gemini.apiKey) secretsToFetch.push({ configPath: 'services.gemini.apiKey' });
+  // OpenAI is optional, only needed when it is the default provider or part of the fallback chain
+  const openaiConfigured = config.analysis.defaultService === 'openai'
+    || config.analysis.fallbackChain.some(entry => entry.service === 'openai');
+  if (!config.services.openai.apiKey && openaiConfigured) {
+    secretsToFetch.push({ configPath: 'services.openai.apiKey' });
+  }
 
   if (secretsToFetch.length === 0) {
     console.log('No secrets need to be loaded from Secret Manager.');
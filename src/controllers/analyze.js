@@ -1,13 +1,99 @@
 /**
  * BOE analysis controller
  */
-import { randomUUID } from 'crypto';
-import { parseBOE } from '../services/parser/index.js';
-import { analyzeBOEItems } from '../services/ai/index.js';
-import { publishResults } from '../utils/pubsub.js';
+import { runTextAnalysis, runBatchAnalysis } from '../services/analysis/index.js';
+import { startJob, getJob, JOB_STATUS } from '../services/jobs/index.js';
+import { getIdempotencyKey, runIdempotent } from '../services/idempotency/index.js';
+import { BOE_ISSUE_STATUS } from '../services/parser/index.js';
+import { getTodayInSpain } from '../utils/dateFormatter.js';
+
+/**
+ * Whether an analysis response is final, so a retry would get the same answer
+ * Failed fetches are not, nor is "no issue published" for today or later, as the issue may still come out
+ * @param {Object} response - Analysis response
+ * @returns {boolean} - True if the response may be replayed
+ */
+function isFinalResponse(response) {
+  const status = response.metadata?.status;
+  if (status !== BOE_ISSUE_STATUS.SUCCESS && status !== BOE_ISSUE_STATUS.NOT_PUBLISHED) {
+    return false;
+  }
+
+  // Dates without issue: each day of a range, or the single requested date
+  const { boe_info: boeInfo, query_date: queryDate } = response.results || {};
+  const missingDates = boeInfo?.issues
+    ? boeInfo.issues.filter(issue => issue.status === BOE_ISSUE_STATUS.NOT_PUBLISHED).map(issue => issue.query_date)
+    : (status === BOE_ISSUE_STATUS.NOT_PUBLISHED ? [queryDate] : []);
+  // Issues come out by the Spanish calendar day, which starts before the UTC one
+  const today = getTodayInSpain();
+  return missingDates.every(date => date && date < today);
+}
+
+/**
+ * Start an analysis as a background job
+ * @param {Object} req - Express request
+ * @param {string} type - Job type
+ * @param {Function} work - Async function producing the analysis response
+ * @returns {Promise<Object>} - 202 response { status, location, body } pointing to where to poll for the job
+ */
+async function createJobResponse(req, type, work) {
+  return toJobResponse(await startJob(type, work, req.id));
+}
+
+/**
+ * Build the 202 response of a job from its current state
+ * @param {Object} job - Job record
+ * @returns {Object} - 202 response { status, location, body }
+ */
+function toJobResponse(job) {
+  const statusUrl = `/api/jobs/${job.id}`;
+
+  return {
+    status: 202,
+    location: statusUrl,
+    body: {
+      job_id: job.id,
+      status: job.status,
+      status_url: statusUrl
+    }
+  };
+}
+
+/**
+ * Send a response built by createJobResponse or a controller
+ * @param {Object} res - Express response
+ * @param {Object} response - Response { status, location, body }
+ */
+function sendResponse(res, { status, location, body }) {
+  if (location) {
+    res.location(location);
+  }
+  res.status(status).json(body);
+}
+
+// Stored form of /analyze-text responses: final analyses as they are, and async requests
+// by their job, so a retry gets the job's current state
+const idempotentAnalysis = {
+  toStored: response => {
+    if (response.status === 202) return { job_id: response.body.job_id };
+    return isFinalResponse(response.body) ? response : null;
+  },
+  fromStored: async stored => {
+    if (!stored.job_id) return stored;
+
+    // A job that failed, expired or ended without a final answer is run again
+    const job = await getJob(stored.job_id);
+    if (!job || job.status === JOB_STATUS.FAILED) return null;
+    if (job.status === JOB_STATUS.COMPLETED && !isFinalResponse(job.result)) return null;
+    return toJobResponse(job);
+  }
+};
 
 /**
  * Handle analyze text request
+ * With "async": true the analysis runs as a background job (see GET /api/jobs/:id).
+ * Requests repeating an Idempotency-Key header, or the same subscription and analysis options,
+ * get the stored response without being analyzed or published again.
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  * @param {Function} next - Express next
@@ -16,64 +102,44 @@ export async function analyzeText(req, res, next) {
   try {
     // Validation is now handled by middleware
 
-    const { texts, subscription_id, user_id, date, service, metadata } = req.body;
-    
-    // Extract user_id and subscription_id from metadata if not directly provided
-    const effectiveUserId = user_id || metadata?.user_id || "";
-    const effectiveSubscriptionId = subscription_id || metadata?.subscription_id || "";
-    
-    // Generate trace ID for tracking
-    const traceId = randomUUID();
-    
-    console.log(`Processing BOE analysis request - Request ID: ${req.id}, Trace ID: ${traceId}, Prompts: ${texts.length}, User ID: ${effectiveUserId}, Subscription ID: ${effectiveSubscriptionId}, Service: gemini`);
-    
-    // Fetch and parse BOE content
-    const { boeContent, prompts } = await parseBOE({
-      date,
-      prompts: texts,
-      requestId: req.id
-    });
-    
-    // Analyze each prompt - only using Gemini (HANI)
-    const analysisPromises = prompts.map(prompt => 
-      analyzeBOEItems(boeContent.items, prompt, req.id, { service: 'gemini' })
-    );
-    
-    const analysisResults = await Promise.all(analysisPromises);
-    
-    // Prepare response structure with the extracted user_id and subscription_id
-    const response = {
-      trace_id: traceId,
-      request: {
-        texts: prompts,
-        subscription_id: effectiveSubscriptionId,
-        user_id: effectiveUserId
-      },
-      results: {
-        boe_info: boeContent.boe_info,
-        query_date: boeContent.query_date,
-        results: analysisResults.map((result, index) => ({
-          prompt: prompts[index],
-          matches: result.matches || [],
-          metadata: result.metadata || {}
-        }))
-      },
-      metadata: {
-        processing_time_ms: Date.now() - req.startTime,
-        total_items_processed: boeContent.items.length,
-        status: 'success'
+    const analyze = async () => {
+      if (req.body.async === true) {
+        return createJobResponse(req, 'analyze-text', () => runTextAnalysis(req.body, req.id, req.startTime));
       }
+      return { status: 200, body: await runTextAnalysis(req.body, req.id, req.startTime) };
     };
-    
-    // Publish results to PubSub asynchronously
-    publishResults(response).catch(error => {
-      console.error(`Failed to publish results to PubSub - Request ID: ${req.id}, Trace ID: ${traceId}, Error:`, error);
-    });
+
+    const idempotency = getIdempotencyKey(req);
+    if (!idempotency) {
+      return sendResponse(res, await analyze());
+    }
+
+    const { result, replayed } = await runIdempotent(idempotency, req.id, analyze, idempotentAnalysis);
+    res.set('Idempotent-Replayed', String(replayed));
     
     // Send response
-    res.json(response);
+    sendResponse(res, result);
   } catch (error) {
     // Pass to error handler
     next(error);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Handle batch analysis request
+ * With "async": true the batch runs as a background job (see GET /api/jobs/:id)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+export async function analyzeBatch(req, res, next) {
+  try {
+    if (req.body.async === true) {
+      return sendResponse(res, await createJobResponse(req, 'analyze-batch', () => runBatchAnalysis(req.body, req.id, req.startTime)));
+    }
+
+    res.json(await runBatchAnalysis(req.body, req.id, req.startTime));
+  } catch (error) {
+    next(error);
+  }
+}
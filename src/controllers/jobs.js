@@ -0,0 +1,25 @@
+/**
+ * Background job controller
+ */
+import { getJob } from '../services/jobs/index.js';
+import { createNotFoundError } from '../utils/errors/AppError.js';
+
+/**
+ * Handle job status request
+ * Returns the job state, with the analysis response once completed or the error once failed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+export async function getJobStatus(req, res, next) {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      throw createNotFoundError(`Job not found: ${req.params.id}`);
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+}
@@ -5,6 +5,8 @@ import express from 'express';
 import config, { loadSecrets, validateConfig } from './config/config.js';
 import { registerMiddleware } from './middleware/index.js';
 import createRoutes from './routes/index.js';
+import { startOutboxFlusher } from './services/outbox/index.js';
+import { checkJobsEnvironment } from './services/jobs/index.js';
 
 // Record start time for request duration tracking
 function addStartTime(req, res, next) {
@@ -78,6 +80,10 @@ async function init() {
     // Create and start app
     const app = createApp();
     startServer(app);
+    checkJobsEnvironment();
+
+    // Publish results left unpublished by a previous run, then keep retrying failures
+    startOutboxFlusher();
   } catch (error) {
     console.error('Failed to initialize application:', error);
     process.exit(1);
@@ -38,7 +38,7 @@ export function errorHandler(err, req, res, next) {
   console.error(`Error occurred - Request ID: ${req.id}, Status: ${statusCode}, Code: ${err.code || 'UNKNOWN'}, Message: ${err.message}`, JSON.stringify(errorContext, null, 2));
 
   // Optionally publish detailed error context to Pub/Sub (fire-and-forget)
-  if (config.pubsub.errorTopicId && statusCode >= 500) { // Example: Only publish server errors
+  if (config.services.pubsub.errorTopicId && statusCode >= 500) { // Example: Only publish server errors
     publishError(errorContext).catch(pubsubErr => {
       // Log failure to publish the error itself
       console.error('CRITICAL: Failed to publish error context to PubSub', { error: pubsubErr });
@@ -1,17 +1,153 @@
 /**
  * Request validation middleware
  */
+import config from '../config/config.js';
 import { createValidationError } from '../utils/errors/AppError.js';
+import { countDaysInRange } from '../utils/dateFormatter.js';
+import { SUPPORTED_BULLETINS, getBulletinSource } from '../services/parser/sources/index.js';
+import { SUPPORTED_AI_SERVICES } from '../services/ai/index.js';
+import { getBoeParserMessageSchema } from '../utils/schemas/pubsubMessages.js';
+
+// The results message echoes the request back, so its fields are held to the schema's lengths
+const requestSchema = getBoeParserMessageSchema().properties.request.properties;
+const REQUEST_LIMITS = {
+  subscription_id: requestSchema.subscription_id.maxLength,
+  user_id: requestSchema.user_id.maxLength,
+  text: requestSchema.texts.items.maxLength
+};
 
 /**
- * Validate the request body for the /analyze-text endpoint
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Check the request fields that are published against the lengths of the results message schema
+ * @param {Object} request - Request body, or one subscription of a batch
+ * @param {string} [prefix=''] - Prefix of the field names in the errors, e.g. "subscriptions[0]."
+ * @returns {Array<string>} - Validation errors
  */
-export function validateAnalyzeRequestMiddleware(req, res, next) {
+function validateRequestLengths(request, prefix = '') {
+  const errors = [];
+
+  for (const field of ['subscription_id', 'user_id']) {
+    if (typeof request[field] === 'string' && request[field].length > REQUEST_LIMITS[field]) {
+      errors.push(`${prefix}${field} cannot exceed ${REQUEST_LIMITS[field]} characters`);
+    }
+  }
+
+  if (Array.isArray(request.texts) && request.texts.some(text => typeof text === 'string' && text.length > REQUEST_LIMITS.text)) {
+    errors.push(`${prefix}texts cannot contain texts longer than ${REQUEST_LIMITS.text} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the analysis options shared by the single and batch endpoints
+ * (date or date range, grouping, full text, candidate selection, async mode, bulletin and service)
+ * @param {Object} reqBody - Request body
+ * @returns {Array<string>} - Validation errors
+ */
+export function validateAnalysisOptions(reqBody) {
+  const errors = [];
+
+  // Check date if provided
+  if (reqBody.date && typeof reqBody.date !== 'string') {
+    errors.push('date must be a string in YYYY-MM-DD format');
+  } else if (reqBody.date && !/^\d{4}-\d{2}-\d{2}$/.test(reqBody.date)) {
+    errors.push('date must be in YYYY-MM-DD format');
+  }
+
+  // Check date range if provided
+  if (reqBody.date_from || reqBody.date_to) {
+    const rangeErrors = [];
+    if (!reqBody.date_from || !reqBody.date_to) {
+      rangeErrors.push('date_from and date_to must be provided together');
+    }
+    if (reqBody.date) {
+      rangeErrors.push('date cannot be combined with date_from/date_to');
+    }
+    for (const field of ['date_from', 'date_to']) {
+      if (reqBody[field] && (typeof reqBody[field] !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(reqBody[field]))) {
+        rangeErrors.push(`${field} must be in YYYY-MM-DD format`);
+      }
+    }
+    if (rangeErrors.length === 0) {
+      const days = countDaysInRange(reqBody.date_from, reqBody.date_to);
+      if (Number.isNaN(days)) {
+        rangeErrors.push('date_from and date_to must be valid dates');
+      } else if (days === 0) {
+        rangeErrors.push('date_from must not be after date_to');
+      } else if (days > config.scraper.maxRangeDays) {
+        rangeErrors.push(`date range cannot exceed ${config.scraper.maxRangeDays} days`);
+      }
+    }
+    errors.push(...rangeErrors);
+  }
+
+  // Check group_by if provided
+  if (reqBody.group_by && reqBody.group_by !== 'date') {
+    errors.push('group_by must be "date"');
+  }
+
+  // Check full_text if provided
+  if (reqBody.full_text !== undefined && typeof reqBody.full_text !== 'boolean') {
+    errors.push('full_text must be a boolean');
+  }
+
+  // Check prefilter options if provided
+  if (reqBody.prefilter !== undefined) {
+    const { prefilter } = reqBody;
+    if (typeof prefilter !== 'object' || prefilter === null || Array.isArray(prefilter)) {
+      errors.push('prefilter must be an object');
+    } else {
+      if (prefilter.enabled !== undefined && typeof prefilter.enabled !== 'boolean') {
+        errors.push('prefilter.enabled must be a boolean');
+      }
+      if (prefilter.top_n !== undefined && (!Number.isInteger(prefilter.top_n) || prefilter.top_n < 1)) {
+        errors.push('prefilter.top_n must be a positive integer');
+      }
+    }
+  }
+
+  // Check semantic retrieval options if provided
+  if (reqBody.semantic !== undefined) {
+    const { semantic } = reqBody;
+    if (typeof semantic !== 'object' || semantic === null || Array.isArray(semantic)) {
+      errors.push('semantic must be an object');
+    } else {
+      if (semantic.enabled !== undefined && typeof semantic.enabled !== 'boolean') {
+        errors.push('semantic.enabled must be a boolean');
+      }
+      if (semantic.top_k !== undefined && (!Number.isInteger(semantic.top_k) || semantic.top_k < 1)) {
+        errors.push('semantic.top_k must be a positive integer');
+      }
+    }
+  }
+
+  // Check async if provided
+  if (reqBody.async !== undefined && typeof reqBody.async !== 'boolean') {
+    errors.push('async must be a boolean');
+  }
+
+  // Check bulletin if provided
+  if (reqBody.bulletin !== undefined && (typeof reqBody.bulletin !== 'string' || !SUPPORTED_BULLETINS.includes(reqBody.bulletin.toUpperCase()))) {
+    errors.push(`bulletin must be one of: ${SUPPORTED_BULLETINS.join(', ')}`);
+  } else if (reqBody.full_text === true && !getBulletinSource(reqBody.bulletin)?.fetchDocumentText) {
+    errors.push(`full_text is not supported for bulletin ${String(reqBody.bulletin || 'BOE').toUpperCase()}`);
+  }
+
+  // Check service if provided
+  if (reqBody.service !== undefined && !SUPPORTED_AI_SERVICES.includes(reqBody.service)) {
+    errors.push(`service must be one of: ${SUPPORTED_AI_SERVICES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an analysis request, as sent to /analyze-text or in the payload of an analysis task
+ * @param {Object} reqBody - Request body
+ * @returns {Array<string>} - Validation errors
+ */
+export function validateAnalyzeRequest(reqBody) {
   const errors = [];
-  const reqBody = req.body;
 
   // Check that texts are provided
   if (!reqBody.texts) {
@@ -20,6 +156,8 @@ export function validateAnalyzeRequestMiddleware(req, res, next) {
     errors.push('texts must be an array');
   } else if (reqBody.texts.length === 0) {
     errors.push('texts array cannot be empty');
+  } else if (reqBody.texts.some(text => typeof text !== 'string' || !text.trim())) {
+    errors.push('texts must only contain non-empty strings');
   }
 
   // Check subscription_id if provided
@@ -32,17 +170,20 @@ export function validateAnalyzeRequestMiddleware(req, res, next) {
     errors.push('user_id must be a string');
   }
 
-  // Check date if provided
-  if (reqBody.date && typeof reqBody.date !== 'string') {
-    errors.push('date must be a string in YYYY-MM-DD format');
-  } else if (reqBody.date && !/^\d{4}-\d{2}-\d{2}$/.test(reqBody.date)) {
-    errors.push('date must be in YYYY-MM-DD format');
-  }
+  errors.push(...validateRequestLengths(reqBody));
+  errors.push(...validateAnalysisOptions(reqBody));
 
-  // Check service if provided
-  if (reqBody.service && !['gemini', 'openai'].includes(reqBody.service)) {
-    errors.push('service must be either "gemini" or "openai"');
-  }
+  return errors;
+}
+
+/**
+ * Validate the request body for the /analyze-text endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateAnalyzeRequestMiddleware(req, res, next) {
+  const errors = validateAnalyzeRequest(req.body);
 
   if (errors.length > 0) {
     // If validation errors exist, pass a validation error to the error handler
@@ -51,4 +192,51 @@ export function validateAnalyzeRequestMiddleware(req, res, next) {
 
   // If validation passes, proceed to the next middleware/controller
   next();
-} 
\ No newline at end of file
+}
+
+/**
+ * Validate the request body for the /analyze-batch endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateBatchRequestMiddleware(req, res, next) {
+  const errors = [];
+  const reqBody = req.body;
+
+  // Check that subscriptions are provided
+  if (!Array.isArray(reqBody.subscriptions)) {
+    errors.push('subscriptions must be an array');
+  } else if (reqBody.subscriptions.length === 0) {
+    errors.push('subscriptions array cannot be empty');
+  } else if (reqBody.subscriptions.length > config.analysis.maxBatchSubscriptions) {
+    errors.push(`subscriptions cannot contain more than ${config.analysis.maxBatchSubscriptions} entries`);
+  } else {
+    reqBody.subscriptions.forEach((subscription, index) => {
+      if (!subscription || typeof subscription !== 'object') {
+        errors.push(`subscriptions[${index}] must be an object`);
+        return;
+      }
+      if (!subscription.subscription_id || typeof subscription.subscription_id !== 'string') {
+        errors.push(`subscriptions[${index}].subscription_id must be a non-empty string`);
+      }
+      if (!subscription.user_id || typeof subscription.user_id !== 'string') {
+        errors.push(`subscriptions[${index}].user_id must be a non-empty string`);
+      }
+      if (!Array.isArray(subscription.texts) || subscription.texts.length === 0) {
+        errors.push(`subscriptions[${index}].texts must be a non-empty array`);
+      } else if (subscription.texts.some(text => typeof text !== 'string' || !text.trim())) {
+        errors.push(`subscriptions[${index}].texts must only contain non-empty strings`);
+      }
+      errors.push(...validateRequestLengths(subscription, `subscriptions[${index}].`));
+    });
+  }
+
+  errors.push(...validateAnalysisOptions(reqBody));
+
+  if (errors.length > 0) {
+    return next(createValidationError('Invalid request body', { errors }));
+  }
+
+  next();
+}
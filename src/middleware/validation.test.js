@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+import { validateAnalyzeRequest, validateBatchRequestMiddleware } from './validation.js';
+
+const subscription = { subscription_id: 'sub-1', user_id: 'user-1', texts: ['Ayudas a la vivienda'] };
+
+describe('validateAnalyzeRequest', () => {
+  it('accepts fields at the schema limits', () => {
+    expect(validateAnalyzeRequest({
+      texts: ['a'.repeat(2000)],
+      subscription_id: 's'.repeat(100),
+      user_id: 'u'.repeat(100)
+    })).toEqual([]);
+  });
+
+  it('rejects fields longer than the results message schema allows', () => {
+    expect(validateAnalyzeRequest({
+      texts: ['Ayudas', 'a'.repeat(2001)],
+      subscription_id: 's'.repeat(101),
+      user_id: 'u'.repeat(101)
+    })).toEqual([
+      'subscription_id cannot exceed 100 characters',
+      'user_id cannot exceed 100 characters',
+      'texts cannot contain texts longer than 2000 characters'
+    ]);
+  });
+});
+
+describe('validateBatchRequestMiddleware', () => {
+  it('rejects subscriptions with fields too long with a 400', () => {
+    const next = vi.fn();
+
+    validateBatchRequestMiddleware({
+      body: { subscriptions: [subscription, { ...subscription, user_id: 'u'.repeat(101), texts: ['a'.repeat(2001)] }] }
+    }, {}, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error.statusCode).toBe(400);
+    expect(error.details.errors).toEqual([
+      'subscriptions[1].user_id cannot exceed 100 characters',
+      'subscriptions[1].texts cannot contain texts longer than 2000 characters'
+    ]);
+  });
+
+  it('passes valid batches on', () => {
+    const next = vi.fn();
+
+    validateBatchRequestMiddleware({ body: { subscriptions: [subscription] } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -2,8 +2,8 @@
  * Analysis routes
  */
 import { Router } from 'express';
-import { analyzeText } from '../controllers/analyze.js';
-import { validateAnalyzeRequestMiddleware } from '../middleware/validation.js';
+import { analyzeText, analyzeBatch } from '../controllers/analyze.js';
+import { validateAnalyzeRequestMiddleware, validateBatchRequestMiddleware } from '../middleware/validation.js';
 
 /**
  * Create analysis router
@@ -15,6 +15,9 @@ export default function createAnalyzeRoutes(middleware) {
   
   // Main analysis endpoint (authenticated and validated)
   router.post('/analyze-text', middleware.auth, validateAnalyzeRequestMiddleware, analyzeText);
+
+  // Batch endpoint: many subscriptions analyzed against a single BOE fetch
+  router.post('/analyze-batch', middleware.auth, validateBatchRequestMiddleware, analyzeBatch);
   
   return router;
 }
\ No newline at end of file
@@ -3,6 +3,7 @@
  */
 import { Router } from 'express';
 import createAnalyzeRoutes from './analyze.js';
+import createJobRoutes from './jobs.js';
 // Remove import for test routes
 // import createTestRoutes from './test.js';
 
@@ -25,6 +26,7 @@ export default function createRoutes(middleware) {
   
   // Register API routes - only keep analyze routes
   router.use('/api', createAnalyzeRoutes(middleware));
+  router.use('/api', createJobRoutes(middleware));
   // Remove test routes
   // router.use('/api', createTestRoutes(middleware));
   
@@ -0,0 +1,19 @@
+/**
+ * Background job routes
+ */
+import { Router } from 'express';
+import { getJobStatus } from '../controllers/jobs.js';
+
+/**
+ * Create job router
+ * @param {Object} middleware - Middleware functions
+ * @returns {Router} - Express router
+ */
+export default function createJobRoutes(middleware) {
+  const router = Router();
+
+  // Job state and results (authenticated)
+  router.get('/jobs/:id', middleware.auth, getJobStatus);
+
+  return router;
+}
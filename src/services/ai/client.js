@@ -3,30 +3,50 @@
  */
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import config from '../../config/config.js';
+import { createConfigurationError } from '../../utils/errors/AppError.js';
 
-// AI client singleton
-let geminiModel = null;
+// AI client singletons, one generative model per model name
+const geminiModels = new Map();
+let embeddingModel = null;
 
 /**
  * Initialize and get Gemini client model
+ * @param {string} [modelName] - Gemini model, defaults to the configured one
  * @returns {Object} Gemini GenerativeModel instance
  */
-export function getGeminiModel() {
-  if (!geminiModel) {
+export function getGeminiModel(modelName = config.services.gemini.model) {
+  if (!geminiModels.has(modelName)) {
     if (!config.services.gemini.apiKey) {
-      throw new Error('Gemini API key not configured.');
+      throw createConfigurationError('Gemini API key not configured.', { service: 'Gemini' });
     }
     const genAI = new GoogleGenerativeAI(config.services.gemini.apiKey);
-    geminiModel = genAI.getGenerativeModel({ model: config.services.gemini.model });
-    console.log('Gemini client initialized with model:', config.services.gemini.model);
+    geminiModels.set(modelName, genAI.getGenerativeModel({ model: modelName }));
+    console.log('Gemini client initialized with model:', modelName);
   }
-  return geminiModel;
+  return geminiModels.get(modelName);
+}
+
+/**
+ * Initialize and get the Gemini embedding model
+ * @returns {Object} Gemini GenerativeModel instance for the embedding model
+ */
+export function getEmbeddingModel() {
+  if (!embeddingModel) {
+    if (!config.services.gemini.apiKey) {
+      throw createConfigurationError('Gemini API key not configured.', { service: 'Gemini' });
+    }
+    const genAI = new GoogleGenerativeAI(config.services.gemini.apiKey);
+    embeddingModel = genAI.getGenerativeModel({ model: config.services.gemini.embeddingModel });
+    console.log('Gemini embedding client initialized with model:', config.services.gemini.embeddingModel);
+  }
+  return embeddingModel;
 }
 
 /**
  * Reset client (useful for testing or config changes)
  */
 export function resetAIClients() {
-  geminiModel = null;
+  geminiModels.clear();
+  embeddingModel = null;
   console.log('AI client reset.');
 }
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Semantic retrieval of BOE items with Gemini embeddings
+ *
+ * Item titles are embedded once per publication date and kept in memory, so every
+ * prompt of a request, and later requests for the same date, reuse them.
+ */
+import { getEmbeddingModel } from './client.js';
+import config from '../../config/config.js';
+import { createExternalApiError } from '../../utils/errors/AppError.js';
+
+// batchEmbedContents accepts at most 100 texts per call
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Publication date -> Map of item key -> Promise<number[]>, in least recently used order
+const embeddingCache = new Map();
+
+/**
+ * Get the cache key of an item within its date
+ * @param {Object} item - BOE item
+ * @returns {string} - Item key
+ */
+function getItemKey(item) {
+  return `${item.bulletin_type || 'BOE'}:${item.identifier || item.title}`;
+}
+
+/**
+ * Get the embeddings of a date, evicting the least recently used dates over the limit
+ * @param {string} date - Publication date (YYYY-MM-DD)
+ * @returns {Map<string, Promise<Array<number>>>} - Embeddings by item key
+ */
+function getDateCache(date) {
+  let dateCache = embeddingCache.get(date);
+  if (dateCache) {
+    embeddingCache.delete(date);
+  } else {
+    dateCache = new Map();
+  }
+  embeddingCache.set(date, dateCache);
+
+  while (embeddingCache.size > config.analysis.semantic.cacheDates) {
+    embeddingCache.delete(embeddingCache.keys().next().value);
+  }
+  return dateCache;
+}
+
+/**
+ * Embed texts with the Gemini embedding model
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} taskType - RETRIEVAL_DOCUMENT or RETRIEVAL_QUERY
+ * @returns {Promise<Array<Array<number>>>} - One vector per text
+ */
+async function embedTexts(texts, taskType) {
+  const model = getEmbeddingModel();
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+    try {
+      const response = await model.batchEmbedContents({
+        requests: batch.map(text => ({ content: { role: 'user', parts: [{ text }] }, taskType }))
+      });
+      vectors.push(...response.embeddings.map(embedding => embedding.values));
+    } catch (error) {
+      throw createExternalApiError(`Gemini embedding request failed: ${error.message}`, {
+        code: 'GEMINI_EMBEDDING_FAILED',
+        cause: error,
+        service: 'Gemini'
+      });
+    }
+  }
+  return vectors;
+}
+
+/**
+ * Get the embedding of each item, computing only those not cached for their date
+ * Pending embeddings are cached too, so concurrent prompts share the same call
+ * @param {Array} items - BOE items
+ * @param {string} [date] - Publication date used when items carry none
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Array<number>>>} - One vector per item
+ */
+async function getItemEmbeddings(items, date, requestId) {
+  // Items without a date are embedded for this call only
+  const uncached = new Map();
+  const entries = items.map(item => {
+    const itemDate = item.publication_date || date;
+    return { item, key: getItemKey(item), cache: itemDate ? getDateCache(itemDate) : uncached };
+  });
+
+  const missing = [];
+  entries.forEach(entry => {
+    if (!entry.cache.has(entry.key)) {
+      // Placeholder so duplicated items are only embedded once
+      entry.cache.set(entry.key, null);
+      missing.push(entry);
+    }
+  });
+
+  if (missing.length > 0) {
+    console.log(`Computing item embeddings - Request ID: ${requestId}, Items: ${items.length}, Missing: ${missing.length}`);
+
+    const embeddings = embedTexts(missing.map(({ item }) => item.title || ''), 'RETRIEVAL_DOCUMENT');
+    missing.forEach(({ key, cache }, index) => cache.set(key, embeddings.then(vectors => vectors[index])));
+    // Failed embeddings must not stay cached
+    embeddings.catch(() => missing.forEach(({ key, cache }) => cache.delete(key)));
+  }
+
+  return Promise.all(entries.map(({ key, cache }) => cache.get(key)));
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity in [-1, 1]
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Keep the top-k items by similarity between their title and the prompt
+ * @param {Array} items - BOE items
+ * @param {string} prompt - User's search prompt
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options={}] - Options { top_k, date }, top_k defaulting to config.analysis.semantic.topK
+ * @returns {Promise<{items: Array, metadata: Object}>} - Items best first and retrieval metadata
+ */
+export async function retrieveSemanticCandidates(items, prompt, requestId, options = {}) {
+  const topK = options.top_k ?? config.analysis.semantic.topK;
+
+  const [itemVectors, [promptVector]] = await Promise.all([
+    getItemEmbeddings(items, options.date, requestId),
+    embedTexts([prompt], 'RETRIEVAL_QUERY')
+  ]);
+
+  const ranked = items
+    .map((item, index) => ({ item, similarity: cosineSimilarity(itemVectors[index], promptVector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, topK);
+
+  console.log(`Semantic retrieval applied - Request ID: ${requestId}, Items: ${items.length}, Kept: ${ranked.length}`);
+
+  return {
+    items: ranked.map(({ item }) => item),
+    metadata: {
+      top_k: topK,
+      kept: ranked.length,
+      min_similarity: ranked.length > 0 ? Number(ranked[ranked.length - 1].similarity.toFixed(3)) : null
+    }
+  };
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import config from '../../config/config.js';
+import { retrieveSemanticCandidates } from './embeddings.js';
+import { getEmbeddingModel } from './client.js';
+
+vi.mock('./client.js', () => ({ getEmbeddingModel: vi.fn() }));
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+// Fake model embedding each text by the keywords it contains
+const KEYWORDS = ['subvencion', 'carretera', 'vacaciones'];
+const batchEmbedContents = vi.fn(async ({ requests }) => ({
+  embeddings: requests.map(({ content }) => ({
+    values: KEYWORDS.map(keyword => (content.parts[0].text.toLowerCase().includes(keyword) ? 1 : 0))
+  }))
+}));
+getEmbeddingModel.mockReturnValue({ batchEmbedContents });
+
+// Texts sent as documents, i.e. item titles that were not cached
+function embeddedTitles() {
+  return batchEmbedContents.mock.calls
+    .flatMap(([{ requests }]) => requests)
+    .filter(request => request.taskType === 'RETRIEVAL_DOCUMENT')
+    .map(request => request.content.parts[0].text);
+}
+
+const items = [
+  { identifier: 'BOE-A-2025-1', title: 'Subvencion a la contratación' },
+  { identifier: 'BOE-A-2025-2', title: 'Obras de carretera' },
+  { identifier: 'BOE-A-2025-3', title: 'Vacaciones del personal' }
+];
+
+describe('retrieveSemanticCandidates', () => {
+  beforeEach(() => {
+    batchEmbedContents.mockClear();
+  });
+
+  it('keeps the top-k items most similar to the prompt', async () => {
+    const { items: kept, metadata } = await retrieveSemanticCandidates(items, 'subvencion', 'test', { date: '2025-01-01', top_k: 1 });
+    expect(kept.map(item => item.identifier)).toEqual(['BOE-A-2025-1']);
+    expect(metadata).toEqual({ top_k: 1, kept: 1, min_similarity: 1 });
+  });
+
+  it('embeds the items of a date once, across prompts', async () => {
+    await Promise.all([
+      retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-01-02' }),
+      retrieveSemanticCandidates(items, 'vacaciones', 'test', { date: '2025-01-02' })
+    ]);
+    await retrieveSemanticCandidates(items, 'subvencion', 'test', { date: '2025-01-02' });
+
+    expect(embeddedTitles()).toEqual(items.map(item => item.title));
+  });
+
+  it('embeds items without a date on every call', async () => {
+    await retrieveSemanticCandidates(items, 'carretera', 'test');
+    await retrieveSemanticCandidates(items, 'carretera', 'test');
+
+    expect(embeddedTitles()).toHaveLength(items.length * 2);
+  });
+
+  it('evicts the least recently used dates over the limit', async () => {
+    const { cacheDates } = config.analysis.semantic;
+    config.analysis.semantic.cacheDates = 2;
+    try {
+      await retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-02-01' });
+      await retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-02-02' });
+      await retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-02-01' });
+      await retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-02-03' });
+      batchEmbedContents.mockClear();
+
+      await retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-02-01' });
+      expect(embeddedTitles()).toEqual([]);
+      await retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-02-02' });
+      expect(embeddedTitles()).toHaveLength(items.length);
+    } finally {
+      config.analysis.semantic.cacheDates = cacheDates;
+    }
+  });
+
+  it('does not cache failed embeddings', async () => {
+    batchEmbedContents.mockRejectedValueOnce(new Error('quota exceeded'));
+
+    await expect(retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-03-01' }))
+      .rejects.toMatchObject({ details: { code: 'GEMINI_EMBEDDING_FAILED' } });
+
+    batchEmbedContents.mockClear();
+    await retrieveSemanticCandidates(items, 'carretera', 'test', { date: '2025-03-01' });
+    expect(embeddedTitles()).toHaveLength(items.length);
+  });
+});
@@ -3,34 +3,13 @@
  */
 import { getGeminiModel } from './client.js';
 import config from '../../config/config.js';
-import { createSystemPrompt, createContentPrompt } from './prompts/gemini.js';
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
+import { createSystemPrompt, createContentPrompt, createRefinementPrompt, createRepairPrompt } from './prompts/gemini.js';
+import { ANALYSIS_RESPONSE_SCHEMA, toGeminiSchema, validateAnalysisResponse, dropInvalidMatches } from './responseSchema.js';
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold, SchemaType } from '@google/generative-ai';
 import { createExternalApiError, createServiceError } from '../../utils/errors/AppError.js';
-
-/**
- * Extract keywords from prompt
- * @param {string} prompt - User's search prompt
- * @returns {Array} - Keywords array
- */
-function extractKeywords(prompt) {
-  return prompt.toLowerCase()
-    .split(' ')
-    .filter(word => word.length >= 5);
-}
-
-/**
- * Filter BOE items based on keywords
- * @param {Array} boeItems - BOE items to filter
- * @param {Array} keywords - Keywords to match
- * @returns {Array} - Filtered BOE items
- */
-function filterRelevantItems(boeItems, keywords) {
-  return boeItems.filter(item => {
-    if (!item.title) return false;
-    const title = item.title.toLowerCase();
-    return keywords.some(keyword => title.includes(keyword));
-  });
-}
+import { chunkBOEContent, processChunks } from '../openai/chunker.js';
+import { mergeResults } from '../openai/merger.js';
+import { countTokens } from 'gpt-tokenizer';
 
 /**
  * Parse Gemini response text to JSON
@@ -66,76 +45,211 @@ function parseGeminiResponse(responseText, requestId) {
   }
 }
 
+const generationConfig = {
+  temperature: 0.2,
+  topK: 1,
+  topP: 1,
+  maxOutputTokens: 8192,
+};
+
+const safetySettings = [
+  { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+];
+
+// Analysis calls answer in JSON mode, following the schema derived from the match contract
+const analysisGenerationConfig = {
+  ...generationConfig,
+  responseMimeType: 'application/json',
+  responseSchema: toGeminiSchema(ANALYSIS_RESPONSE_SCHEMA),
+};
+
+const refinementGenerationConfig = {
+  ...generationConfig,
+  responseMimeType: 'application/json',
+  responseSchema: {
+    type: SchemaType.OBJECT,
+    required: ['relevance_score', 'notification_title', 'summary'],
+    properties: {
+      relevance_score: { type: SchemaType.NUMBER },
+      notification_title: { type: SchemaType.STRING },
+      summary: { type: SchemaType.STRING },
+    },
+  },
+};
+
+/**
+ * Parse a JSON mode answer from Gemini
+ * JSON mode answers are plain JSON; extracting the first {...} from the text is the last resort
+ * @param {string} responseText - Gemini response text
+ * @param {string} requestId - Request ID for logging
+ * @returns {{parsed: Object, extracted: boolean}} - Parsed response, and whether it had to be extracted from the text
+ */
+function parseJsonResponse(responseText, requestId) {
+  try {
+    return { parsed: JSON.parse(responseText), extracted: false };
+  } catch (error) {
+    console.warn(`Gemini response is not plain JSON, extracting it from the text - Request ID: ${requestId}, Error: ${error.message}`);
+    return { parsed: parseGeminiResponse(responseText, requestId), extracted: true };
+  }
+}
+
+/**
+ * Parse an analysis answer and validate it against the analysis response schema
+ * @param {string} responseText - Gemini response text
+ * @param {string} requestId - Request ID for logging
+ * @returns {{parsed: Object|null, extracted: boolean, errors: Array<string>}} - Parsed answer and its violations
+ */
+function readAnalysisResponse(responseText, requestId) {
+  try {
+    const { parsed, extracted } = parseJsonResponse(responseText, requestId);
+    return { parsed, extracted, errors: validateAnalysisResponse(parsed) };
+  } catch (error) {
+    return { parsed: null, extracted: true, errors: ['response is not valid JSON'] };
+  }
+}
+
+/**
+ * Run an analysis call
+ * @param {Object} model - Gemini GenerativeModel instance
+ * @param {Array} contents - Conversation sent to the model
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} - Gemini response
+ */
+async function generateAnalysis(model, contents, requestId) {
+  const result = await model.generateContent({
+    contents,
+    generationConfig: analysisGenerationConfig,
+    safetySettings,
+  });
+
+  if (!result.response) {
+    console.error(`Gemini analysis failed: No response object - Request ID: ${requestId}, Full Result:`, result);
+    throw createExternalApiError('Gemini API returned no response object', { code: 'GEMINI_NO_RESPONSE', details: result, service: 'Gemini' });
+  }
+  return result.response;
+}
+
 /**
  * Analyze BOE items with Gemini
+ * Items over the chunk token budget are split into chunks, analyzed a few at a time and merged
  * @param {Array} boeItems - BOE items to analyze
  * @param {string} prompt - User's search prompt
  * @param {string} requestId - Request ID for logging
- * @param {Object} [options={}] - Analysis options
+ * @param {Object} [options={}] - Analysis options, including model to override the configured one
  * @returns {Promise<Object>} - Analysis results
  */
 export async function analyzeWithGemini(boeItems, prompt, requestId, options = {}) {
-  const model = getGeminiModel();
+  const modelName = options.model || config.services.gemini.model;
+  const chunks = chunkBOEContent(boeItems, config.analysis.chunking.maxTokens);
+  if (chunks.length <= 1) {
+    return analyzeGeminiChunk(boeItems, prompt, requestId, modelName, boeItems.length);
+  }
+
+  const startTime = Date.now();
+  console.log(`Analyzing BOE items with Gemini in chunks - Request ID: ${requestId}, Items: ${boeItems.length}, Chunks: ${chunks.length}`);
+
+  const results = await processChunks(chunks, chunk =>
+    analyzeGeminiChunk(chunk.items, prompt, requestId, modelName, boeItems.length)
+  );
+  const merged = mergeResults(results);
+  const sumTokens = key => results.reduce((acc, result) => acc + result.metadata.token_usage[key], 0);
+
+  return {
+    matches: merged.matches,
+    metadata: {
+      model_used: modelName,
+      processing_time_ms: Date.now() - startTime,
+      chunks: chunks.length,
+      duplicates_removed: merged.metadata.duplicates_removed,
+      finish_reasons: results.map(result => result.metadata.finish_reason),
+      token_usage: {
+        input_tokens: sumTokens('input_tokens'),
+        output_tokens: sumTokens('output_tokens'),
+        total_tokens: sumTokens('total_tokens')
+      }
+    }
+  };
+}
+
+/**
+ * Analyze one chunk of BOE items with a single Gemini call
+ * @param {Array} boeItems - BOE items of the chunk
+ * @param {string} prompt - User's search prompt
+ * @param {string} requestId - Request ID for logging
+ * @param {string} modelName - Gemini model
+ * @param {number} itemCount - Items in the whole analysis, shown to the model for context
+ * @returns {Promise<Object>} - Analysis results
+ */
+async function analyzeGeminiChunk(boeItems, prompt, requestId, modelName, itemCount) {
+  const model = getGeminiModel(modelName);
   const startTime = Date.now();
 
   // Calculate prompt token sizes
   const systemMessage = createSystemPrompt(prompt);
-  const contentMessage = createContentPrompt(boeItems, prompt, boeItems.length);
+  const contentMessage = createContentPrompt(boeItems, prompt, itemCount);
   
-  const systemTokens = Math.round(systemMessage.length / 4);
-  const contentTokens = Math.round(contentMessage.length / 4);
-  const totalInputTokens = systemTokens + contentTokens;
+  const systemTokens = countTokens(systemMessage);
+  const contentTokens = countTokens(contentMessage);
+  let totalInputTokens = systemTokens + contentTokens;
   
   console.log(`Gemini analysis token estimates - Request ID: ${requestId}, System Tokens: ${systemTokens}, Content Tokens: ${contentTokens}, Total Input Tokens: ${totalInputTokens}`);
 
-  const generationConfig = {
-    temperature: 0.2,
-    topK: 1,
-    topP: 1,
-    maxOutputTokens: 8192,
-  };
+  const contents = [{ role: 'user', parts: [{ text: systemMessage }, { text: contentMessage }] }];
 
-  const safetySettings = [
-    { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-    { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-    { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-    { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-  ];
+  try {
+    let response = await generateAnalysis(model, contents, requestId);
+    let responseText = response.text();
+    let responseTokens = countTokens(responseText);
 
-  const parts = [
-    { text: systemMessage },
-    { text: contentMessage },
-  ];
+    console.log(`Gemini response received - Request ID: ${requestId}, Chars: ${responseText.length}, Output Tokens: ${responseTokens}`);
 
-  try {
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts }],
-      generationConfig,
-      safetySettings,
-    });
+    let answer = readAnalysisResponse(responseText, requestId);
+    const validation = { retried: false, extracted: answer.extracted, dropped_matches: 0, errors: answer.errors.slice(0, 10) };
 
-    const processingTime = Date.now() - startTime;
+    // Feed the violations back to the model once and ask for the corrected answer
+    if (answer.errors.length > 0) {
+      console.warn(`Gemini response does not match the schema, retrying - Request ID: ${requestId}, Errors: ${answer.errors.slice(0, 10).join('; ')}`);
+      const repairMessage = createRepairPrompt(answer.errors.slice(0, 20));
+      contents.push({ role: 'model', parts: [{ text: responseText }] }, { role: 'user', parts: [{ text: repairMessage }] });
+      totalInputTokens += systemTokens + contentTokens + responseTokens + countTokens(repairMessage);
 
-    if (!result.response) {
-      console.error(`Gemini analysis failed: No response object - Request ID: ${requestId}, Full Result:`, result);
-      throw createExternalApiError('Gemini API returned no response object', { code: 'GEMINI_NO_RESPONSE', details: result, service: 'Gemini' });
+      response = await generateAnalysis(model, contents, requestId);
+      responseText = response.text();
+      responseTokens += countTokens(responseText);
+      answer = readAnalysisResponse(responseText, requestId);
+      validation.retried = true;
+      validation.extracted = answer.extracted;
     }
 
-    const response = result.response;
-    const responseText = response.text();
-    const responseTokens = Math.round(responseText.length / 4);
-
-    console.log(`Gemini response received - Request ID: ${requestId}, Chars: ${responseText.length}, Est. Output Tokens: ${responseTokens}`);
+    // Still invalid: keep the matches that follow the schema, if the answer has any
+    if (answer.errors.length > 0) {
+      if (!Array.isArray(answer.parsed?.matches)) {
+        throw createServiceError('Gemini response does not match the analysis schema', {
+          code: 'GEMINI_INVALID_RESPONSE',
+          validationErrors: answer.errors,
+          responseTextPreview: responseText.substring(0, 500)
+        });
+      }
+      const repaired = dropInvalidMatches(answer.parsed);
+      answer.parsed.matches = repaired.matches;
+      validation.dropped_matches = repaired.dropped;
+      console.warn(`Dropped Gemini matches not matching the schema - Request ID: ${requestId}, Dropped: ${repaired.dropped}, Errors: ${answer.errors.slice(0, 10).join('; ')}`);
+    }
 
-    const parsedResult = parseGeminiResponse(responseText, requestId);
+    const processingTime = Date.now() - startTime;
+    const parsedResult = answer.parsed;
 
     // Add metadata
     parsedResult.metadata = {
-      model_used: config.services.gemini.model,
+      model_used: modelName,
       processing_time_ms: processingTime,
       usage: response.usageMetadata, // Include usage if available
       finish_reason: response.finishReason, // Include finish reason
       safety_ratings: response.safetyRatings, // Include safety ratings
+      response_validation: validation,
       token_usage: {
         input_tokens: totalInputTokens, 
         output_tokens: responseTokens,
@@ -143,7 +257,7 @@ export async function analyzeWithGemini(boeItems, prompt, requestId, options = {
       }
     };
 
-    console.log(`Gemini analysis successful - Request ID: ${requestId}, Matches: ${parsedResult.matches.length}, Time: ${processingTime}ms, Total Tokens: ${totalInputTokens + responseTokens}`);
+    console.log(`Gemini analysis successful - Request ID: ${requestId}, Matches: ${parsedResult.matches.length}, Time: ${processingTime}ms, Total Tokens: ${totalInputTokens + responseTokens}, Retried: ${validation.retried}`);
 
     return parsedResult;
 
@@ -178,4 +292,43 @@ export async function analyzeWithGemini(boeItems, prompt, requestId, options = {
       cause: error
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Re-score and re-summarize a match with Gemini using the disposition's full text
+ * @param {Object} match - Match selected from the sumario
+ * @param {string} documentText - Full text of the disposition
+ * @param {string} prompt - User's search prompt
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options={}] - Options { model: Gemini model, defaults to config }
+ * @returns {Promise<Object>} - { relevance_score, notification_title, summary }
+ */
+export async function refineWithGemini(match, documentText, prompt, requestId, options = {}) {
+  const model = getGeminiModel(options.model);
+  const maxChars = config.scraper.maxFullTextChars;
+  const text = documentText.length > maxChars ? documentText.substring(0, maxChars) : documentText;
+
+  try {
+    const result = await model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: createRefinementPrompt(match, text, prompt) }] }],
+      generationConfig: refinementGenerationConfig,
+      safetySettings,
+    });
+
+    if (!result.response) {
+      throw createExternalApiError('Gemini API returned no response object', { code: 'GEMINI_NO_RESPONSE', service: 'Gemini' });
+    }
+
+    return parseJsonResponse(result.response.text(), requestId).parsed;
+  } catch (error) {
+    console.error(`Gemini refinement error - Request ID: ${requestId}, Title: ${(match.title || '').substring(0, 60)}, Error:`, error);
+
+    if (error instanceof Error && error.code && error.isOperational) {
+        throw error;
+    }
+    throw createServiceError(`Gemini refinement failed: ${error.message}`, {
+      code: 'GEMINI_REFINEMENT_FAILED',
+      cause: error
+    });
+  }
+}
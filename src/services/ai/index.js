@@ -1,65 +1,264 @@
 /**
  * AI Services Module - Analyzes BOE items using AI
  */
-import { analyzeWithGemini } from './gemini.js';
-import { createServiceError } from '../../utils/errors/AppError.js';
+import { analyzeWithGemini, refineWithGemini } from './gemini.js';
+import { analyzeWithOpenAI, refineWithOpenAI } from '../openai/index.js';
+import { prefilterItems } from './prefilter.js';
+import { retrieveSemanticCandidates } from './embeddings.js';
+import { createServiceError, createConfigurationError } from '../../utils/errors/AppError.js';
 import config from '../../config/config.js';
+import { countTokens } from 'gpt-tokenizer';
+import { countItemTokens } from '../openai/chunker.js';
+import { mergeResults } from '../openai/merger.js';
+import { normalizeMatches, normalizeScore } from './normalizer.js';
+import { MODEL_SCORE_SCALE } from './responseSchema.js';
+
+/**
+ * AI providers - each one analyzes items into the same match structure and refines a match from its full text
+ * analyze(items, prompt, requestId, options) => { matches, metadata }
+ * refine(match, documentText, prompt, requestId, options) => { relevance_score, notification_title, summary }
+ * scoreScale is the top of the scale their relevance scores come on
+ */
+const providers = {
+  gemini: { analyze: analyzeWithGemini, refine: refineWithGemini, scoreScale: MODEL_SCORE_SCALE },
+  openai: { analyze: analyzeWithOpenAI, refine: refineWithOpenAI, scoreScale: MODEL_SCORE_SCALE }
+};
+
+export const SUPPORTED_AI_SERVICES = Object.keys(providers);
+
+/**
+ * Get the provider for a service
+ * @param {string} [service] - Service name, defaults to the configured one
+ * @returns {{name: string, analyze: Function, refine: Function, scoreScale: number}} - Provider
+ */
+function getProvider(service) {
+  const name = service || config.analysis.defaultService;
+  const provider = providers[name];
+  if (!provider) {
+    throw createConfigurationError(`Unsupported AI service: ${name}`, { service: name });
+  }
+  return { name, ...provider };
+}
+
+/**
+ * Get the providers and models to try for an analysis, in order
+ * The requested service (with its configured model) comes first, followed by the configured fallback chain
+ * @param {string} [service] - Requested service, defaults to the configured one
+ * @returns {Array<Object>} - Attempts ({ name, model, analyze, refine }), without repeated service and model pairs
+ */
+function getProviderChain(service) {
+  const primary = getProvider(service);
+  const entries = [{ service: primary.name }, ...config.analysis.fallbackChain];
+
+  const chain = [];
+  entries.forEach(entry => {
+    if (!providers[entry.service]) {
+      console.warn(`Ignoring unsupported AI service in fallback chain: ${entry.service}`);
+      return;
+    }
+    const model = entry.model || config.services[entry.service].model;
+    if (!chain.some(attempt => attempt.name === entry.service && attempt.model === model)) {
+      chain.push({ ...getProvider(entry.service), model });
+    }
+  });
+  return chain;
+}
+
+/**
+ * Get the providers and models to refine an analysis with, in order
+ * Refinement starts with the one that produced the analysis, skipping those of the chain that had
+ * already failed before it, and falls back to the rest of the chain
+ * @param {string} [service] - Requested service, defaults to the configured one
+ * @param {Object} [analyzedWith] - { service, model } recorded in the analysis metadata
+ * @returns {Array<Object>} - Attempts ({ name, model, analyze, refine })
+ */
+function getRefinementChain(service, analyzedWith) {
+  const chain = getProviderChain(service);
+  const index = chain.findIndex(attempt => attempt.name === analyzedWith?.service && attempt.model === analyzedWith?.model);
+  return index > 0 ? chain.slice(index) : chain;
+}
+
+/**
+ * Select the items sent to the model for a prompt
+ * The lexical pre-filter runs first; when semantic retrieval is enabled its top-k items are
+ * added to the lexical candidates, or used alone when the lexical filter kept everything
+ * @param {Array} items - BOE items
+ * @param {string} prompt - Analysis prompt
+ * @param {string} requestId - Request ID for tracing
+ * @param {Object} options - Options { prefilter, semantic, date }
+ * @returns {Promise<{items: Array, metadata: Object}>} - Candidate items and selection metadata
+ */
+async function selectCandidates(items, prompt, requestId, options = {}) {
+  const lexical = prefilterItems(items, prompt, requestId, options.prefilter);
+
+  const semanticOptions = options.semantic || {};
+  const semanticEnabled = semanticOptions.enabled ?? config.analysis.semantic.enabled;
+  const topK = semanticOptions.top_k ?? config.analysis.semantic.topK;
+  if (!semanticEnabled || items.length <= topK) {
+    return { items: lexical.items, metadata: { prefilter: lexical.metadata } };
+  }
+
+  try {
+    const semantic = await retrieveSemanticCandidates(items, prompt, requestId, { top_k: topK, date: options.date });
+    const lexicalItems = lexical.metadata.applied ? lexical.items : [];
+    const candidates = [...new Set([...lexicalItems, ...semantic.items])];
+
+    return {
+      items: candidates,
+      metadata: {
+        prefilter: lexical.metadata,
+        semantic: { applied: true, ...semantic.metadata, candidates: candidates.length }
+      }
+    };
+  } catch (error) {
+    console.warn(`Semantic retrieval failed, using lexical candidates - Request ID: ${requestId}, Error: ${error.message}`);
+    return {
+      items: lexical.items,
+      metadata: {
+        prefilter: lexical.metadata,
+        semantic: { applied: false, reason: 'error', error: error.message }
+      }
+    };
+  }
+}
 
 /**
  * Analyze BOE items with AI based on a prompt
- * @param {Array} items - BOE items to analyze
+ * @param {Array} allItems - BOE items to analyze
  * @param {string} prompt - Analysis prompt
  * @param {string} requestId - Request ID for tracing
- * @param {Object} options - Options including service (gemini, etc.)
- * @returns {Promise<Object>} - Analysis results
+ * @param {Object} options - Options including service (gemini or openai, defaults to config), prefilter ({ enabled, top_n }),
+ *   semantic ({ enabled, top_k }) and date (issue date, to reuse cached embeddings)
+ * @returns {Promise<Object>} - Analysis results, with normalized 0-1 scores; metadata.service and metadata.model_used
+ *   tell which provider produced them and metadata.failed_attempts lists the providers of the fallback chain that failed before it
  */
-export async function analyzeBOEItems(items, prompt, requestId, options = {}) {
-  const service = options.service || 'gemini';
+export async function analyzeBOEItems(allItems, prompt, requestId, options = {}) {
+  const chain = getProviderChain(options.service);
+  const service = chain[0].name;
+
+  // Narrow the sumario to the items most related to the prompt
+  const { items, metadata: selection } = await selectCandidates(allItems || [], prompt, requestId, options);
+
   const promptLength = prompt?.length || 0;
   const itemsCount = items?.length || 0;
   
   let totalContentLength = 0;
   let totalEstimatedTokens = 0;
   
-  // Calculate content length and estimated tokens
+  // Calculate content length and tokens
   if (items && items.length > 0) {
     items.forEach(item => {
-      if (item.content) {
-        totalContentLength += item.content.length;
-      }
+      totalContentLength += JSON.stringify(item).length;
+      totalEstimatedTokens += countItemTokens(item);
     });
-    totalEstimatedTokens = Math.round(totalContentLength / 4); // Rough estimate: ~4 chars per token
   }
   
-  const promptTokens = Math.round(promptLength / 4); // Rough estimate
+  const promptTokens = countTokens(prompt || '');
   const totalTokens = totalEstimatedTokens + promptTokens;
   
   console.log(`Starting BOE analysis - Request ID: ${requestId}, Service: ${service}, Item Count: ${itemsCount}, Prompt Length: ${promptLength}`);
   console.log(`BOE analysis token estimates - Request ID: ${requestId}, Content Chars: ${totalContentLength}, Content Tokens: ${totalEstimatedTokens}, Prompt Tokens: ${promptTokens}, Total Tokens: ${totalTokens}`);
   
-  try {
-    // Currently only Gemini is supported
-    if (service === 'gemini') {
-      const result = await analyzeWithGemini(items, prompt, requestId, options);
-      
-      console.log(`BOE analysis completed successfully - Request ID: ${requestId}, Service: gemini, Matches Count: ${result.matches?.length || 0}, Processing Time: ${result.metadata?.processing_time_ms || 0}ms`);
-      
+  // Try each provider of the chain until one of them answers
+  const failedAttempts = [];
+  let lastError;
+  for (const [index, attempt] of chain.entries()) {
+    try {
+      const result = await attempt.analyze(items, prompt, requestId, { ...options, model: attempt.model });
+
+      // Normalize the matches, then drop repeated dispositions and keep the best ones
+      const normalized = normalizeMatches(result.matches, items, { scoreScale: attempt.scoreScale });
+      const merged = mergeResults([normalized], { maxMatches: config.analysis.maxMatchesPerPrompt });
+      result.matches = merged.matches;
+      result.metadata = {
+        ...result.metadata,
+        service: attempt.name,
+        model_used: attempt.model,
+        failed_attempts: failedAttempts,
+        normalization: normalized.metadata,
+        duplicates_removed: (result.metadata?.duplicates_removed || 0) + merged.metadata.duplicates_removed,
+        capped: merged.metadata.capped,
+        ...selection
+      };
+
+      console.log(`BOE analysis completed successfully - Request ID: ${requestId}, Service: ${attempt.name}, Model: ${attempt.model}, Failed Attempts: ${failedAttempts.length}, Matches Count: ${result.matches?.length || 0}, Processing Time: ${result.metadata?.processing_time_ms || 0}ms`);
+
       return result;
-    } else {
-      throw createServiceError(`Unsupported AI service: ${service}`);
-    }
-  } catch (error) {
-    console.error(`Error in BOE analysis - Request ID: ${requestId}, Service: ${service}, Error:`, error);
-    
-    if (error.isOperational) {
-      throw error; // Re-throw operational errors
+    } catch (error) {
+      console.error(`Error in BOE analysis - Request ID: ${requestId}, Service: ${attempt.name}, Model: ${attempt.model}, Error:`, error);
+      failedAttempts.push({
+        service: attempt.name,
+        model: attempt.model,
+        code: error.details?.code || error.code || null,
+        error: error.message
+      });
+      lastError = error;
+
+      if (index < chain.length - 1) {
+        console.warn(`Falling back to next AI provider - Request ID: ${requestId}, Next Service: ${chain[index + 1].name}, Next Model: ${chain[index + 1].model}`);
+      }
     }
-    
-    throw createServiceError(`BOE analysis failed with service ${service}`, { 
-      cause: error,
-      service,
-      prompt_length: promptLength,
-      items_count: itemsCount
-    });
   }
-}
\ No newline at end of file
+
+  if (chain.length === 1 && lastError.isOperational) {
+    throw lastError; // Re-throw operational errors
+  }
+
+  throw createServiceError(`BOE analysis failed with service ${service}${chain.length > 1 ? ' and its fallbacks' : ''}`, {
+    cause: lastError,
+    service,
+    attempts: failedAttempts,
+    prompt_length: promptLength,
+    items_count: itemsCount
+  });
+}
+
+/**
+ * Re-score and re-summarize matches using the full text of each disposition
+ * Each match is refined by the provider and model that analyzed it, falling back along the request's chain;
+ * matches without text, or whose refinement fails with every provider, are kept as they were
+ * @param {Array} matches - Matches selected from the sumario
+ * @param {Array<string|null>} texts - Full text for each match (same order), null if unavailable
+ * @param {string} prompt - Analysis prompt
+ * @param {string} requestId - Request ID for tracing
+ * @param {Object} [options={}] - Options { service: requested AI service, defaults to config;
+ *   analyzedWith: { service, model } that produced the matches, from the analysis metadata }
+ * @returns {Promise<Array>} - Refined matches sorted by relevance, each flagged with full_text_analyzed
+ */
+export async function refineBOEMatches(matches, texts, prompt, requestId, options = {}) {
+  const chain = getRefinementChain(options.service, options.analyzedWith);
+  const refinedMatches = await Promise.all(matches.map(async (match, index) => {
+    const documentText = texts[index];
+    if (!documentText) {
+      return { ...match, full_text_analyzed: false };
+    }
+
+    for (const attempt of chain) {
+      try {
+        const refinement = await attempt.refine(match, documentText, prompt, requestId, { model: attempt.model });
+        // The match is already on 0-1, the refinement on the provider's scale
+        const [refined] = normalizeMatches([{
+          ...match,
+          relevance_score: typeof refinement.relevance_score === 'number'
+            ? normalizeScore(refinement.relevance_score, attempt.scoreScale).score
+            : match.relevance_score,
+          notification_title: refinement.notification_title || match.notification_title,
+          summary: refinement.summary || match.summary
+        }]).matches;
+        if (!refined) {
+          return { ...match, full_text_analyzed: false };
+        }
+        return { ...refined, full_text_analyzed: true };
+      } catch (error) {
+        console.warn(`Full-text refinement failed - Request ID: ${requestId}, Service: ${attempt.name}, Model: ${attempt.model}, Error: ${error.message}`);
+      }
+    }
+
+    console.warn(`Keeping sumario-based match after failed refinement - Request ID: ${requestId}, Title: ${(match.title || '').substring(0, 60)}`);
+    return { ...match, full_text_analyzed: false };
+  }));
+
+  console.log(`BOE full-text refinement completed - Request ID: ${requestId}, Matches: ${matches.length}, Refined: ${refinedMatches.filter(match => match.full_text_analyzed).length}`);
+
+  return refinedMatches.sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0));
+}
@@ -0,0 +1,224 @@
+/**
+ * Match normalizer - every provider's matches pass through here before they are merged and published,
+ * so length limits, the relevance scale and default fields are the same whichever model answered
+ */
+import { getMatchIdentifier } from '../parser/index.js';
+import { MATCH_SCHEMA, validatePublishableMatch } from './responseSchema.js';
+
+// Length limits of the published match's text fields, tightened to what the prompts ask for
+// the ones shown in notifications
+export const MATCH_LIMITS = {
+  ...Object.fromEntries(Object.entries(MATCH_SCHEMA.properties)
+    .filter(([, property]) => property.type === 'string' && property.maxLength)
+    .map(([field, property]) => [field, property.maxLength])),
+  notification_title: 80,
+  summary: 200
+};
+
+// Length limit of each link URL
+export const LINK_LIMITS = Object.fromEntries(Object.entries(MATCH_SCHEMA.properties.links.properties)
+  .map(([type, property]) => [type, property.maxLength]));
+
+// Fields that identify rather than describe the disposition: cutting them would make them wrong
+const UNTRUNCATED_FIELDS = ['identifier', 'bulletin_type'];
+
+// Score given to a match the model did not score, as the prompts only ask for relevant matches
+const DEFAULT_RELEVANCE_SCORE = 0.75;
+
+/**
+ * Normalize a title for comparison: lowercase, without accents, punctuation or extra spaces
+ * @param {string} title - Title
+ * @returns {string} - Normalized title
+ */
+export function normalizeTitle(title) {
+  return (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Shorten a text to a maximum length, cutting at the last word boundary
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length, including the ellipsis
+ * @returns {string} - Text as it was if short enough, otherwise cut and ended with "..."
+ */
+export function truncateAtWord(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.substring(0, maxLength - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  // A single very long word is cut where it is
+  const wordCut = lastSpace > maxLength * 0.6 ? cut.substring(0, lastSpace) : cut;
+  return `${wordCut.replace(/[\s.,;:\-–(]+$/, '')}...`;
+}
+
+/**
+ * Bring a relevance score from the scale the provider was asked to use to 0-1
+ * @param {*} score - Score given by the model
+ * @param {number} scale - Top of the provider's scale, e.g. 100 for 0-100; 1 for scores already on 0-1
+ * @returns {{score: number, fix: string|null}} - Score between 0 and 1, and the fix applied if any
+ */
+export function normalizeScore(score, scale) {
+  const value = typeof score === 'number' ? score : parseFloat(score);
+  if (!Number.isFinite(value)) {
+    return { score: DEFAULT_RELEVANCE_SCORE, fix: 'score_defaulted' };
+  }
+
+  const scaled = value / scale;
+  const clamped = Math.max(0, Math.min(1, scaled));
+  const rounded = Math.round(clamped * 1000) / 1000;
+
+  if (clamped !== scaled) return { score: rounded, fix: 'score_clamped' };
+  if (typeof score !== 'number') return { score: rounded, fix: 'score_parsed' };
+  return { score: rounded, fix: null };
+}
+
+/**
+ * Index source items by disposition identifier and normalized title
+ * @param {Array} items - BOE items the matches were selected from
+ * @returns {{byIdentifier: Map, byTitle: Map}} - Item indexes
+ */
+function indexItems(items) {
+  const byIdentifier = new Map();
+  const byTitle = new Map();
+  items.forEach(item => {
+    if (item.identifier) byIdentifier.set(item.identifier.toUpperCase(), item);
+    const title = normalizeTitle(item.title);
+    if (title && !byTitle.has(title)) byTitle.set(title, item);
+  });
+  return { byIdentifier, byTitle };
+}
+
+/**
+ * Normalize one match
+ * @param {Object} match - Match returned by the model
+ * @param {Object|null} source - BOE item the match was selected from, if known
+ * @param {number} scoreScale - Top of the scale the match was scored on
+ * @param {Function} report - Called with the name of each fix applied
+ * @returns {Object} - Normalized match
+ */
+function normalizeMatch(match, source, scoreScale, report) {
+  const normalized = { ...match };
+
+  // Fields of the disposition come from the sumario, which the model may have mangled
+  if (source) {
+    if (source.identifier && normalized.identifier !== source.identifier) {
+      normalized.identifier = source.identifier;
+      report('identifier_filled');
+    }
+    const sourceLinks = Object.fromEntries(Object.entries(source.links || {}).filter(([, url]) => url));
+    if (Object.entries(sourceLinks).some(([type, url]) => normalized.links?.[type] !== url)) {
+      normalized.links = { ...normalized.links, ...sourceLinks };
+      report('links_filled');
+    }
+    if (!normalized.issuing_body && source.department) {
+      normalized.issuing_body = source.department;
+      report('issuing_body_filled');
+    }
+    if (!normalized.bulletin_type && source.bulletin_type) {
+      normalized.bulletin_type = source.bulletin_type;
+    }
+  }
+
+  if (!normalized.title && source?.title) {
+    normalized.title = source.title;
+    report('title_filled');
+  }
+
+  if (!normalized.notification_title && normalized.title) {
+    normalized.notification_title = normalized.title;
+    report('notification_title_filled');
+  }
+  if (normalized.summary === undefined || normalized.summary === null) {
+    normalized.summary = '';
+  }
+
+  Object.entries(MATCH_LIMITS).forEach(([field, maxLength]) => {
+    if (normalized[field] === undefined || normalized[field] === null) return;
+    if (typeof normalized[field] !== 'string') {
+      normalized[field] = String(normalized[field]);
+      report(`${field}_converted`);
+    }
+    if (normalized[field].length <= maxLength) return;
+
+    if (UNTRUNCATED_FIELDS.includes(field)) {
+      delete normalized[field];
+      report(`${field}_removed`);
+    } else {
+      normalized[field] = truncateAtWord(normalized[field], maxLength);
+      report(`${field}_truncated`);
+    }
+  });
+
+  // A cut URL would be broken, so links too long are left out
+  if (normalized.links && typeof normalized.links === 'object') {
+    normalized.links = Object.fromEntries(Object.entries(normalized.links).filter(([type, url]) => {
+      const valid = typeof url === 'string' && (!LINK_LIMITS[type] || url.length <= LINK_LIMITS[type]);
+      if (!valid) report('link_removed');
+      return valid;
+    }));
+  } else if (normalized.links !== undefined) {
+    delete normalized.links;
+    report('link_removed');
+  }
+
+  const { score, fix } = normalizeScore(normalized.relevance_score, scoreScale);
+  normalized.relevance_score = score;
+  if (fix) report(fix);
+
+  return normalized;
+}
+
+/**
+ * Normalize the matches of an analysis
+ * Enforces the schema's length limits, brings scores from the provider's scale to 0-1, fills missing
+ * fields and takes identifier, links and issuing body from the source item the match refers to.
+ * Matches that still do not follow the published match schema (e.g. without a title) are dropped.
+ * @param {Array} matches - Matches returned by the model
+ * @param {Array} [items=[]] - BOE items the matches were selected from
+ * @param {Object} [options={}] - Options { scoreScale: top of the scale the matches were scored on, 1 if already 0-1 }
+ * @returns {{matches: Array, metadata: Object}} - Normalized matches, and metadata counting the fixes by kind
+ *   and the dropped matches with their first violation
+ */
+export function normalizeMatches(matches, items = [], options = {}) {
+  const { scoreScale = 1 } = options;
+  const { byIdentifier, byTitle } = indexItems(items);
+  const fixes = {};
+  const report = fix => {
+    fixes[fix] = (fixes[fix] || 0) + 1;
+  };
+  const dropped = [];
+
+  const normalized = (matches || []).flatMap(match => {
+    if (!match || typeof match !== 'object' || Array.isArray(match)) {
+      dropped.push({ title: null, error: 'match is not an object' });
+      return [];
+    }
+
+    const identifier = String(getMatchIdentifier(match) || match.identifier || '').toUpperCase();
+    const source = (identifier && byIdentifier.get(identifier)) || byTitle.get(normalizeTitle(String(match.title || ''))) || null;
+    const result = normalizeMatch(match, source, scoreScale, report);
+
+    const errors = validatePublishableMatch(result);
+    if (errors.length > 0) {
+      dropped.push({ title: typeof result.title === 'string' ? result.title.substring(0, 100) : null, error: errors[0] });
+      return [];
+    }
+    return [result];
+  });
+
+  return {
+    matches: normalized,
+    metadata: {
+      fixed: Object.values(fixes).reduce((acc, count) => acc + count, 0),
+      fixes,
+      dropped: dropped.length,
+      ...(dropped.length > 0 && { dropped_matches: dropped })
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { truncateAtWord, normalizeScore, normalizeMatches, MATCH_LIMITS } from './normalizer.js';
+
+describe('truncateAtWord', () => {
+  it('leaves short texts as they are', () => {
+    expect(truncateAtWord('Convocatoria de ayudas', 22)).toBe('Convocatoria de ayudas');
+  });
+
+  it('cuts at the last word boundary and ends with an ellipsis', () => {
+    const text = 'Resolución por la que se convocan ayudas para la contratación';
+    const truncated = truncateAtWord(text, 30);
+    expect(truncated).toBe('Resolución por la que se...');
+    expect(truncated.length).toBeLessThanOrEqual(30);
+  });
+
+  it('drops punctuation left before the ellipsis', () => {
+    expect(truncateAtWord('Ayudas, subvenciones, becas y premios', 26)).toBe('Ayudas, subvenciones...');
+  });
+
+  it('cuts a single long word where it is', () => {
+    expect(truncateAtWord('a'.repeat(50), 20)).toBe(`${'a'.repeat(17)}...`);
+  });
+});
+
+describe('normalizeScore', () => {
+  it('divides by the provider scale', () => {
+    expect(normalizeScore(85, 100)).toEqual({ score: 0.85, fix: null });
+    expect(normalizeScore(0.85, 1)).toEqual({ score: 0.85, fix: null });
+  });
+
+  it('does not guess the scale of low scores', () => {
+    expect(normalizeScore(0.9, 100)).toEqual({ score: 0.009, fix: null });
+  });
+
+  it('clamps scores out of the scale', () => {
+    expect(normalizeScore(120, 100)).toEqual({ score: 1, fix: 'score_clamped' });
+    expect(normalizeScore(-5, 100)).toEqual({ score: 0, fix: 'score_clamped' });
+  });
+
+  it('parses numeric strings and defaults missing scores', () => {
+    expect(normalizeScore('70', 100)).toEqual({ score: 0.7, fix: 'score_parsed' });
+    expect(normalizeScore(undefined, 100)).toEqual({ score: 0.75, fix: 'score_defaulted' });
+    expect(normalizeScore('alta', 100)).toEqual({ score: 0.75, fix: 'score_defaulted' });
+  });
+});
+
+describe('normalizeMatches', () => {
+  const items = [{
+    identifier: 'BOE-A-2025-100',
+    title: 'Real Decreto de ayudas a la vivienda',
+    department: 'Ministerio de Vivienda',
+    links: { html: 'https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-100', pdf: null }
+  }];
+
+  it('takes identifier, links and issuing body from the source item', () => {
+    const { matches, metadata } = normalizeMatches([
+      { title: 'Real Decreto de ayudas a la vivienda', identifier: 'BOE-A-2025-1', summary: 'Ayudas', relevance_score: 90 }
+    ], items, { scoreScale: 100 });
+
+    expect(matches[0]).toMatchObject({
+      identifier: 'BOE-A-2025-100',
+      issuing_body: 'Ministerio de Vivienda',
+      links: { html: items[0].links.html },
+      notification_title: 'Real Decreto de ayudas a la vivienda',
+      relevance_score: 0.9
+    });
+    expect(metadata).toMatchObject({ fixes: { links_filled: 1, issuing_body_filled: 1, notification_title_filled: 1 }, dropped: 0 });
+  });
+
+  it('truncates text fields and leaves out identifiers and links too long', () => {
+    const { matches, metadata } = normalizeMatches([{
+      title: 'Título',
+      summary: 'palabra '.repeat(100),
+      identifier: 'X'.repeat(MATCH_LIMITS.identifier + 1),
+      links: { html: `https://www.boe.es/${'a'.repeat(3000)}`, pdf: 'https://www.boe.es/a.pdf' },
+      relevance_score: 80
+    }], [], { scoreScale: 100 });
+
+    expect(matches[0].summary.length).toBeLessThanOrEqual(MATCH_LIMITS.summary);
+    expect(matches[0].summary.endsWith('...')).toBe(true);
+    expect(matches[0]).not.toHaveProperty('identifier');
+    expect(matches[0].links).toEqual({ pdf: 'https://www.boe.es/a.pdf' });
+    expect(metadata.fixes).toMatchObject({ summary_truncated: 1, identifier_removed: 1, link_removed: 1 });
+  });
+
+  it('drops matches that do not follow the published schema', () => {
+    const { matches, metadata } = normalizeMatches([{ title: '', relevance_score: 50 }, 'texto', { title: 'Válida' }]);
+
+    expect(matches.map(match => match.title)).toEqual(['Válida']);
+    expect(metadata.dropped).toBe(2);
+    expect(metadata.dropped_matches).toHaveLength(2);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Lexical pre-ranking of BOE items before AI analysis
+ *
+ * Items are ranked against the user's prompt with BM25 over their title,
+ * department, section and epigraph, using accent folding, Spanish stopwords
+ * and a light Spanish stemmer, so only the top-N candidates reach the model.
+ */
+import config from '../../config/config.js';
+
+const STOPWORDS = new Set([
+  'a', 'al', 'algo', 'algun', 'alguna', 'algunas', 'alguno', 'algunos', 'ante', 'antes', 'aquel', 'aquella',
+  'aquellas', 'aquellos', 'aqui', 'asi', 'aun', 'bajo', 'bien', 'cada', 'cual', 'cuales', 'cuando', 'como',
+  'con', 'contra', 'de', 'del', 'desde', 'donde', 'dos', 'durante', 'e', 'el', 'ella', 'ellas', 'ellos',
+  'en', 'entre', 'era', 'es', 'esa', 'esas', 'ese', 'eso', 'esos', 'esta', 'estan', 'estas', 'este', 'esto',
+  'estos', 'fue', 'ha', 'han', 'hasta', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'me', 'mi', 'mis',
+  'mucho', 'muy', 'ni', 'no', 'nos', 'nuestra', 'nuestro', 'o', 'otra', 'otras', 'otro', 'otros', 'para',
+  'pero', 'poco', 'por', 'porque', 'que', 'quien', 'se', 'sea', 'segun', 'ser', 'si', 'sin', 'sobre', 'son',
+  'su', 'sus', 'tambien', 'tanto', 'te', 'tiene', 'todo', 'todos', 'tras', 'tu', 'tus', 'u', 'un', 'una',
+  'unas', 'uno', 'unos', 'y', 'ya', 'yo'
+]);
+
+// Derivational suffixes, longest first, stripped before plural/gender endings
+const SUFFIXES = [
+  'amientos', 'imientos', 'amiento', 'imiento', 'aciones', 'uciones', 'adoras', 'adores', 'ancias', 'encias',
+  'idades', 'amente', 'mente', 'acion', 'ucion', 'adora', 'ador', 'ancia', 'encia', 'idad', 'ables', 'ibles',
+  'able', 'ible', 'istas', 'ista', 'ismos', 'ismo', 'osos', 'osas', 'oso', 'osa', 'ivos', 'ivas', 'ivo', 'iva'
+];
+
+// Relative weight of each item field in the term frequencies
+const FIELD_WEIGHTS = {
+  title: 2,
+  department: 1,
+  section: 1,
+  epigraph: 1
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Lowercase a text and remove accents (ñ is kept)
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text
+ */
+function foldText(text) {
+  return text
+    .toLowerCase()
+    .replace(/ñ/g, '\u0000')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u0000/g, 'ñ');
+}
+
+/**
+ * Reduce a folded Spanish word to its stem
+ * Light stemmer: derivational suffix, then plural, then final gender vowel
+ * @param {string} word - Folded word
+ * @returns {string} - Stem
+ */
+export function stemSpanish(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  let stem = word;
+  const suffix = SUFFIXES.find(candidate => stem.endsWith(candidate) && stem.length - candidate.length >= 3);
+  if (suffix) {
+    stem = stem.slice(0, -suffix.length);
+  } else if (stem.endsWith('es') && stem.length > 4 && !/[aeiou]/.test(stem.charAt(stem.length - 3))) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && stem.length > 3) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (/[aeo]$/.test(stem) && stem.length > 4) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
+}
+
+/**
+ * Split a text into stemmed terms, without stopwords
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return foldText(String(text))
+    .split(/[^a-z0-9ñ]+/)
+    .filter(word => word.length >= 2 && !STOPWORDS.has(word))
+    .map(stemSpanish);
+}
+
+/**
+ * Rank items against a prompt with BM25
+ * @param {Array} items - BOE items to rank
+ * @param {string} prompt - User's search prompt
+ * @returns {Array<{item: Object, score: number}>} - Items with their score, best first
+ */
+export function rankItems(items, prompt) {
+  const queryTerms = [...new Set(tokenize(prompt))];
+
+  const documents = items.map(item => {
+    const frequencies = new Map();
+    let length = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(item[field]).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+    return { item, frequencies, length };
+  });
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1) || 1;
+  const idf = new Map(queryTerms.map(term => {
+    const documentFrequency = documents.filter(doc => doc.frequencies.has(term)).length;
+    return [term, Math.log(1 + (documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+  }));
+
+  return documents
+    .map(({ item, frequencies, length }) => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = frequencies.get(term) || 0;
+        if (frequency === 0) return sum;
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength);
+        return sum + idf.get(term) * (frequency * (BM25_K1 + 1)) / norm;
+      }, 0);
+      return { item, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Narrow items to the top-N lexical candidates for a prompt
+ * When no item shares a term with the prompt, every item is kept so the model can still
+ * find matches the wording alone would miss
+ * @param {Array} items - BOE items to filter
+ * @param {string} prompt - User's search prompt
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options={}] - Per-request options { enabled, top_n }, defaulting to config.analysis.prefilter
+ * @returns {{items: Array, metadata: Object}} - Candidate items and pre-filter metadata
+ */
+export function prefilterItems(items, prompt, requestId, options = {}) {
+  const enabled = options.enabled ?? config.analysis.prefilter.enabled;
+  const topN = options.top_n ?? config.analysis.prefilter.topN;
+  const metadata = { applied: false, top_n: topN, candidates: items.length, kept: items.length };
+
+  if (!enabled) {
+    return { items, metadata: { ...metadata, reason: 'disabled' } };
+  }
+  if (items.length <= topN) {
+    return { items, metadata: { ...metadata, reason: 'below_top_n' } };
+  }
+
+  const matched = rankItems(items, prompt).filter(({ score }) => score > 0);
+  if (matched.length === 0) {
+    console.log(`Lexical pre-filter found no candidates, keeping all items - Request ID: ${requestId}, Items: ${items.length}`);
+    return { items, metadata: { ...metadata, reason: 'no_lexical_matches' } };
+  }
+
+  const kept = matched.slice(0, topN);
+
+  console.log(`Lexical pre-filter applied - Request ID: ${requestId}, Items: ${items.length}, Matched: ${matched.length}, Kept: ${kept.length}`);
+
+  return {
+    items: kept.map(({ item }) => item),
+    metadata: {
+      ...metadata,
+      applied: true,
+      kept: kept.length,
+      min_score: Number(kept[kept.length - 1].score.toFixed(3))
+    }
+  };
+}
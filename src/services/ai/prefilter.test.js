@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from 'vitest';
+import { stemSpanish, tokenize, rankItems, prefilterItems } from './prefilter.js';
+
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const items = [
+  { id: 1, title: 'Resolución por la que se convocan subvenciones para la contratación de jóvenes', department: 'Ministerio de Trabajo' },
+  { id: 2, title: 'Orden sobre el régimen de las vacaciones del personal', department: 'Ministerio de Defensa' },
+  { id: 3, title: 'Anuncio de licitación de obras de carreteras', department: 'Ministerio de Transportes' },
+  { id: 4, title: 'Convocatoria de subvención a la contratación', department: 'Ministerio de Trabajo', section: 'Subvenciones' }
+];
+
+describe('tokenize', () => {
+  it('folds accents, keeps ñ and drops stopwords', () => {
+    expect(tokenize('Las Subvenciones de España')).toEqual(['subvencion', 'españ']);
+  });
+
+  it('reduces singular and plural to the same stem', () => {
+    expect(stemSpanish('contratacion')).toBe(stemSpanish('contrataciones'));
+    expect(stemSpanish('joven')).toBe(stemSpanish('jovenes'));
+  });
+
+  it('leaves numbers and short words as they are', () => {
+    expect(tokenize('Ley 39/2015')).toEqual(['ley', '39', '2015']);
+  });
+});
+
+describe('rankItems', () => {
+  it('ranks items sharing more and rarer terms first', () => {
+    const ranked = rankItems(items, 'subvenciones para contratar jóvenes');
+    expect(ranked[0].item.id).toBe(1);
+    expect(ranked.find(({ item }) => item.id === 3).score).toBe(0);
+  });
+
+  it('weights the title above the other fields', () => {
+    const ranked = rankItems([
+      { id: 'department', title: 'Resolución', department: 'Carreteras' },
+      { id: 'title', title: 'Carreteras', department: 'Ministerio' }
+    ], 'carreteras');
+    expect(ranked[0].item.id).toBe('title');
+  });
+});
+
+describe('prefilterItems', () => {
+  it('keeps the top-N items with a positive score', () => {
+    const { items: kept, metadata } = prefilterItems(items, 'subvenciones contratación', 'test', { enabled: true, top_n: 1 });
+    expect(kept.map(item => item.id)).toEqual([4]);
+    expect(metadata).toMatchObject({ applied: true, candidates: 4, kept: 1, top_n: 1 });
+  });
+
+  it('keeps every item when none shares a term with the prompt', () => {
+    const { items: kept, metadata } = prefilterItems(items, 'pesca marítima', 'test', { enabled: true, top_n: 2 });
+    expect(kept).toBe(items);
+    expect(metadata).toMatchObject({ applied: false, reason: 'no_lexical_matches' });
+  });
+
+  it('does nothing when disabled or below top-N', () => {
+    expect(prefilterItems(items, 'subvenciones', 'test', { enabled: false, top_n: 1 }).metadata.reason).toBe('disabled');
+    expect(prefilterItems(items, 'subvenciones', 'test', { enabled: true, top_n: 10 }).metadata.reason).toBe('below_top_n');
+  });
+});
@@ -22,6 +22,7 @@ export function createSystemPrompt(userPrompt) {
      - un título optimizado para notificación (máximo 80 caracteres)
      - resumen (máximo 200 caracteres)
      - puntuación de relevancia
+     - identificador del BOE (BOE-A-AAAA-NNNN) tal como aparece en los datos
      - URL del documento
      - tipo de documento
   5. Devuelve la respuesta como JSON válido con esta estructura:
@@ -29,6 +30,7 @@ export function createSystemPrompt(userPrompt) {
   {
     "matches": [
       {
+        "identifier": "IDENTIFICADOR_BOE",
         "document_type": "TIPO_DOCUMENTO",
         "title": "TÍTULO_CONCISO",
         "notification_title": "TÍTULO_OPTIMIZADO_PARA_NOTIFICACIÓN",
@@ -78,6 +80,7 @@ export function createContentPrompt(boeItems, userPrompt, itemCount) {
   {
     "matches": [
       {
+        "identifier": "IDENTIFICADOR_BOE",
         "document_type": "TIPO_DOCUMENTO",
         "title": "TÍTULO_ORIGINAL_DEL_BOE",
         "notification_title": "TÍTULO_OPTIMIZADO_PARA_NOTIFICACIÓN",
@@ -91,4 +94,54 @@ export function createContentPrompt(boeItems, userPrompt, itemCount) {
       }
     ]
   }`;
-}
\ No newline at end of file
+}
+
+/**
+ * Create prompt to re-score and re-summarize a match using the disposition's full text
+ * @param {Object} match - Match selected from the sumario
+ * @param {string} documentText - Full text of the disposition
+ * @param {string} userPrompt - User's search prompt
+ * @returns {string} - Refinement prompt
+ */
+export function createRefinementPrompt(match, documentText, userPrompt) {
+  return `
+  Estás revisando una disposición del Boletín Oficial del Estado (BOE) que se seleccionó a partir de su título como relevante para la siguiente consulta:
+  
+  "${userPrompt}"
+  
+  TÍTULO: ${match.title || ''}
+  ORGANISMO EMISOR: ${match.issuing_body || ''}
+  
+  TEXTO COMPLETO DE LA DISPOSICIÓN (puede estar truncado):
+  ${documentText}
+  
+  INSTRUCCIONES IMPORTANTES:
+  1. Lee el texto completo y vuelve a puntuar su relevancia (0-100) para la consulta del usuario
+  2. Escribe un resumen (máximo 200 caracteres) que cite los plazos, importes y requisitos concretos que aparezcan en el texto
+  3. Escribe un título optimizado para notificación (máximo 80 caracteres)
+  4. No inventes datos que no aparezcan en el texto
+  
+  FORMATO DE RESPUESTA:
+  Responde ÚNICAMENTE con JSON válido con esta estructura:
+  
+  {
+    "relevance_score": PUNTUACIÓN_NUMÉRICA,
+    "notification_title": "TÍTULO_OPTIMIZADO_PARA_NOTIFICACIÓN",
+    "summary": "RESUMEN_BREVE"
+  }`;
+}
+
+/**
+ * Create prompt asking the model to correct an answer that does not match the response schema
+ * @param {Array<string>} errors - Schema violations of the previous answer
+ * @returns {string} - Repair prompt
+ */
+export function createRepairPrompt(errors) {
+  return `
+  Tu respuesta anterior no cumple el esquema JSON requerido. Estos son los errores encontrados:
+  
+  ${errors.map(error => `- ${error}`).join('\n  ')}
+  
+  Corrige la respuesta y devuélvela completa, con todas las disposiciones relevantes.
+  Responde ÚNICAMENTE con JSON válido con la misma estructura: un objeto con un array "matches".`;
+}
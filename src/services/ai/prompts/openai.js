@@ -1,7 +1,11 @@
 /**
  * OpenAI prompts configuration
+ * The match structure is the same as Gemini's, so both providers produce the same results
  */
 
+// The full-text refinement prompt does not depend on the provider
+export { createRefinementPrompt } from './gemini.js';
+
 /**
  * Generate system prompt for BOE analysis
  * @returns {string} - System prompt for OpenAI
@@ -10,19 +14,21 @@ export function createSystemPrompt() {
   return `
   Eres un asistente especializado en analizar el Boletín Oficial del Estado (BOE) español.
   Tu tarea es encontrar documentos BOE relevantes para la consulta del usuario.
-  
+
   Instrucciones importantes:
   1. Analiza cuidadosamente los datos del BOE proporcionados
   2. Encuentra disposiciones relevantes para la consulta del usuario
   3. Asigna una puntuación de relevancia (0-100) a cada resultado
   4. Devuelve SOLO las disposiciones con relevancia > 70
   5. Si no hay resultados relevantes, devuelve un array "matches" vacío
-  
+  6. Para cada disposición incluye su identificador del BOE (BOE-A-AAAA-NNNN) tal como aparece en los datos, un título optimizado para notificación (máximo 80 caracteres) y un resumen (máximo 200 caracteres)
+
   DEBES responder ÚNICAMENTE con JSON válido siguiendo exactamente esta estructura:
-  
+
   {
     "matches": [
       {
+        "identifier": "IDENTIFICADOR_BOE",
         "document_type": "TIPO_DOCUMENTO",
         "title": "TÍTULO_ORIGINAL_DEL_BOE",
         "notification_title": "TÍTULO_OPTIMIZADO_PARA_NOTIFICACIÓN",
@@ -36,7 +42,7 @@ export function createSystemPrompt() {
       }
     ]
   }
-  
+
   IMPORTANTE: Si no encuentras documentos realmente relevantes, es mejor devolver un array vacío que forzar coincidencias con baja relevancia.`;
 }
 
@@ -50,9 +56,9 @@ export function createSystemPrompt() {
 export function createUserPrompt(boeItems, userPrompt, itemCount) {
   return `
   Consulta del usuario: "${userPrompt}"
-  
+
   DATOS DEL BOE (mostrando ${boeItems.length} de ${itemCount} disposiciones):
   ${JSON.stringify(boeItems, null, 2)}
-  
+
   Encuentra disposiciones relevantes para esta consulta y responde SOLO con JSON válido.`;
-}
\ No newline at end of file
+}
@@ -0,0 +1,119 @@
+/**
+ * Schema of the analysis answer expected from the models, derived from the match contract
+ * of the results message, so models are asked for exactly what is published
+ */
+import Ajv from 'ajv';
+import { getBoeParserMessageSchema, formatSchemaError } from '../../utils/schemas/pubsubMessages.js';
+
+// Match fields written by the model; the rest (publication_date, full_text_analyzed...) are added by the pipeline
+const MODEL_MATCH_FIELDS = ['identifier', 'document_type', 'title', 'notification_title', 'issuing_body', 'summary', 'relevance_score', 'links'];
+
+// Fields the prompts ask for on every match, on top of the ones the contract requires
+const MODEL_REQUIRED_FIELDS = ['notification_title', 'summary', 'relevance_score'];
+
+// Top of the relevance scale every prompt asks the models to score on
+export const MODEL_SCORE_SCALE = 100;
+
+/**
+ * Replace the $refs of a schema with the definitions they point to
+ * @param {Object} schema - JSON Schema fragment
+ * @param {Object} root - Schema holding the definitions
+ * @returns {Object} - Schema without $refs
+ */
+function resolveRefs(schema, root) {
+  if (Array.isArray(schema)) {
+    return schema.map(entry => resolveRefs(entry, root));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    return resolveRefs(root.definitions[name], root);
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveRefs(value, root)]));
+}
+
+// Schema of a published match, without $refs
+const resultSchema = getBoeParserMessageSchema();
+export const MATCH_SCHEMA = resolveRefs(resultSchema.definitions.match, resultSchema);
+
+/**
+ * Build the JSON Schema of an analysis answer ({ matches: [...] })
+ * @returns {Object} - JSON Schema
+ */
+function buildAnalysisResponseSchema() {
+  return {
+    type: 'object',
+    required: ['matches'],
+    properties: {
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: [...new Set([...MATCH_SCHEMA.required, ...MODEL_REQUIRED_FIELDS])],
+          properties: {
+            ...Object.fromEntries(MODEL_MATCH_FIELDS.map(field => [field, MATCH_SCHEMA.properties[field]])),
+            // Models score on the prompts' scale, brought to the published 0-1 scale by the normalizer
+            relevance_score: { type: 'number', minimum: 0, maximum: MODEL_SCORE_SCALE }
+          }
+        }
+      }
+    }
+  };
+}
+
+export const ANALYSIS_RESPONSE_SCHEMA = buildAnalysisResponseSchema();
+
+/**
+ * Convert a JSON Schema to the OpenAPI subset Gemini accepts as responseSchema
+ * Keywords Gemini does not support (lengths, patterns, ranges) are left out; answers are still
+ * validated against the full schema
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Gemini response schema
+ */
+export function toGeminiSchema(schema) {
+  const geminiSchema = { type: schema.type };
+  if (schema.enum) geminiSchema.enum = schema.enum;
+  if (schema.required) geminiSchema.required = schema.required;
+  if (schema.items) geminiSchema.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    geminiSchema.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  return geminiSchema;
+}
+
+const ajv = new Ajv({ allErrors: true });
+const validateResponse = ajv.compile(ANALYSIS_RESPONSE_SCHEMA);
+const validateMatch = ajv.compile(ANALYSIS_RESPONSE_SCHEMA.properties.matches.items);
+const validatePublishedMatch = ajv.compile(MATCH_SCHEMA);
+
+/**
+ * Validate an analysis answer against the schema
+ * @param {*} response - Parsed answer
+ * @returns {Array<string>} - Violations, e.g. "matches/0/relevance_score must be number"; empty if valid
+ */
+export function validateAnalysisResponse(response) {
+  return validateResponse(response) ? [] : validateResponse.errors.map(formatSchemaError);
+}
+
+/**
+ * Keep the matches of an answer that follow the schema
+ * @param {Object} response - Parsed answer with a matches array
+ * @returns {{matches: Array, dropped: number}} - Valid matches and how many were dropped
+ */
+export function dropInvalidMatches(response) {
+  const matches = response.matches.filter(match => validateMatch(match));
+  return { matches, dropped: response.matches.length - matches.length };
+}
+
+/**
+ * Validate a normalized match against the published match schema
+ * @param {Object} match - Match with a 0-1 score
+ * @returns {Array<string>} - Violations; empty if the match can be published
+ */
+export function validatePublishableMatch(match) {
+  return validatePublishedMatch(match) ? [] : validatePublishedMatch.errors.map(formatSchemaError);
+}
@@ -0,0 +1,330 @@
+/**
+ * Analysis pipeline - fetch and parse the bulletin, analyze prompts and publish the results
+ * Shared by the HTTP controllers and the task worker
+ */
+import { randomUUID } from 'crypto';
+import config from '../../config/config.js';
+import { parseBOE, fetchDispositionTexts, getMatchIdentifier } from '../parser/index.js';
+import { extractDispositionFields } from '../parser/fieldExtractor.js';
+import { analyzeBOEItems, refineBOEMatches } from '../ai/index.js';
+import { processChunks } from '../openai/chunker.js';
+import { enqueueResults } from '../outbox/index.js';
+import { applySeenSet, recordNotified } from '../seen/index.js';
+
+/**
+ * Analyze every prompt against each day of a date range separately, so each
+ * match keeps the publication date of the issue it came from
+ * @param {Array} items - BOE items carrying a publication_date
+ * @param {Array<string>} prompts - Prompts to analyze
+ * @param {string} requestId - Request ID for tracing
+ * @param {Object} options - Options { groupByDate, prefilter, semantic, service }
+ * @returns {Promise<Array>} - Results, one per prompt or one per prompt and day
+ */
+async function analyzeDateRange(items, prompts, requestId, { groupByDate = false, prefilter, semantic, service } = {}) {
+  const itemsByDate = {};
+  items.forEach(item => {
+    (itemsByDate[item.publication_date] = itemsByDate[item.publication_date] || []).push(item);
+  });
+  const dates = Object.keys(itemsByDate).sort();
+
+  // One analysis per prompt and day, run a few at a time like the chunks of a large issue
+  const analyses = prompts.flatMap(prompt => dates.map(publicationDate => ({ prompt, publicationDate })));
+  const analysisResults = await processChunks(analyses, async ({ prompt, publicationDate }) => {
+    const result = await analyzeBOEItems(itemsByDate[publicationDate], prompt, requestId, { service, prefilter, semantic });
+    return {
+      publication_date: publicationDate,
+      matches: (result.matches || []).map(match => ({ ...match, publication_date: publicationDate })),
+      metadata: result.metadata || {}
+    };
+  });
+
+  return prompts.flatMap((prompt, promptIndex) => {
+    const dayResults = analysisResults.slice(promptIndex * dates.length, (promptIndex + 1) * dates.length);
+
+    if (groupByDate) {
+      return dayResults.map(dayResult => ({ prompt, ...dayResult }));
+    }
+
+    return [{
+      prompt,
+      matches: dayResults.flatMap(dayResult => dayResult.matches),
+      metadata: {
+        days: dayResults.map(dayResult => ({
+          publication_date: dayResult.publication_date,
+          match_count: dayResult.matches.length,
+          ...dayResult.metadata
+        }))
+      }
+    }];
+  });
+}
+
+/**
+ * Second pass over the best matches of each result: fetch each disposition's
+ * full text, extract structured fields from it and re-score/re-summarize the match
+ * @param {Array} results - Results ({ prompt, matches, metadata })
+ * @param {string} requestId - Request ID for tracing
+ * @param {string} [service] - AI service to refine with
+ * @param {number} [concurrency] - Results refined at the same time, all of them if not set
+ * @returns {Promise<Array>} - Results with refined matches
+ */
+async function refineWithFullText(results, requestId, service, concurrency = results.length) {
+  const limit = config.scraper.maxFullTextDocuments;
+  const candidates = results.map(result =>
+    [...result.matches].sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0)).slice(0, limit)
+  );
+
+  // Fetch every disposition once, even if several prompts matched it
+  const texts = await fetchDispositionTexts(candidates.flat(), requestId);
+
+  const refineResult = async (result, index) => {
+    const matchTexts = candidates[index].map(match => texts.get(getMatchIdentifier(match)) || null);
+    const withFields = candidates[index].map((match, matchIndex) => (
+      matchTexts[matchIndex] ? { ...match, extracted_fields: extractDispositionFields(matchTexts[matchIndex]) } : match
+    ));
+    // Date-range results record the provider of each day; any of them will do
+    const { service: analyzedService, model_used: analyzedModel } = result.metadata.service
+      ? result.metadata
+      : result.metadata.days?.find(day => day.service) || {};
+    const refined = await refineBOEMatches(withFields, matchTexts, result.prompt, requestId, {
+      service,
+      analyzedWith: analyzedService && { service: analyzedService, model: analyzedModel }
+    });
+    const remaining = result.matches.filter(match => !candidates[index].includes(match));
+
+    return {
+      ...result,
+      matches: [...refined, ...remaining],
+      metadata: {
+        ...result.metadata,
+        full_text_analyzed: refined.filter(match => match.full_text_analyzed).length,
+        // Matches whose disposition text could not be found or fetched
+        full_text_unavailable: matchTexts.filter(text => !text).length
+      }
+    };
+  };
+
+  const refinedResults = [];
+  const step = Math.max(1, concurrency);
+  for (let i = 0; i < results.length; i += step) {
+    const batch = results.slice(i, i + step);
+    refinedResults.push(...await Promise.all(batch.map((result, index) => refineResult(result, i + index))));
+  }
+  return refinedResults;
+}
+
+/**
+ * Analyze prompts against parsed BOE content, including the optional full-text pass
+ * @param {Object} boeContent - Parsed BOE content from parseBOE
+ * @param {Array<string>} prompts - Prompts to analyze
+ * @param {string} requestId - Request ID for tracing
+ * @param {Object} options - Options { isRange, groupByDate, fullText, prefilter, semantic, service }
+ * @returns {Promise<Array>} - Results ({ prompt, matches, metadata })
+ */
+async function analyzePrompts(boeContent, prompts, requestId, options = {}) {
+  const { isRange, groupByDate, fullText, prefilter, semantic, service } = options;
+
+  let results;
+  if (isRange) {
+    results = await analyzeDateRange(boeContent.items, prompts, requestId, { groupByDate, prefilter, semantic, service });
+  } else if (boeContent.items.length === 0) {
+    // Nothing to analyze (no issue published or fetch failed) - skip the AI calls
+    results = prompts.map(prompt => ({ prompt, matches: [], metadata: {} }));
+  } else {
+    // Analyze each prompt with the requested AI service
+    const analysisPromises = prompts.map(prompt => 
+      analyzeBOEItems(boeContent.items, prompt, requestId, {
+        service,
+        prefilter,
+        semantic,
+        date: boeContent.boe_info.publication_date
+      })
+    );
+    
+    const analysisResults = await Promise.all(analysisPromises);
+    results = analysisResults.map((result, index) => ({
+      prompt: prompts[index],
+      matches: result.matches || [],
+      metadata: result.metadata || {}
+    }));
+  }
+
+  if (fullText) {
+    results = await refineWithFullText(results, requestId, service);
+  }
+
+  return results;
+}
+
+/**
+ * Build the response (and Pub/Sub message) for one subscription
+ * @param {Object} params - { traceId, prompts, subscriptionId, userId, boeContent, results, startTime }
+ * @returns {Object} - Response following the BOE parser message schema
+ */
+function buildResponse({ traceId, prompts, subscriptionId, userId, boeContent, results, startTime }) {
+  return {
+    trace_id: traceId,
+    request: {
+      texts: prompts,
+      subscription_id: subscriptionId,
+      user_id: userId
+    },
+    results: {
+      boe_info: boeContent.boe_info,
+      query_date: boeContent.query_date,
+      results
+    },
+    metadata: {
+      processing_time_ms: Date.now() - startTime,
+      total_items_processed: boeContent.items.length,
+      status: boeContent.status,
+      from_cache: boeContent.from_cache,
+      ...(boeContent.error && { status_message: boeContent.error })
+    }
+  };
+}
+
+/**
+ * Fetch, analyze and publish the results of a single analysis request
+ * @param {Object} body - Validated /analyze-text request body
+ * @param {string} requestId - Request ID for tracing
+ * @param {number} startTime - Request start time, for processing_time_ms
+ * @returns {Promise<Object>} - Response, as published to PubSub
+ */
+export async function runTextAnalysis(body, requestId, startTime) {
+  const { texts, subscription_id, user_id, date, date_from, date_to, group_by, full_text, bulletin, prefilter, semantic, service, metadata } = body;
+  
+  // Extract user_id and subscription_id from metadata if not directly provided
+  const effectiveUserId = user_id || metadata?.user_id || "";
+  const effectiveSubscriptionId = subscription_id || metadata?.subscription_id || "";
+  
+  // Generate trace ID for tracking
+  const traceId = randomUUID();
+  
+  console.log(`Processing BOE analysis request - Request ID: ${requestId}, Trace ID: ${traceId}, Prompts: ${texts.length}, User ID: ${effectiveUserId}, Subscription ID: ${effectiveSubscriptionId}, Service: ${service || config.analysis.defaultService}`);
+  
+  // Fetch and parse BOE content
+  const { boeContent, prompts } = await parseBOE({
+    date,
+    dateFrom: date_from,
+    dateTo: date_to,
+    prompts: texts,
+    requestId,
+    bulletin
+  });
+  
+  const results = await analyzePrompts(boeContent, prompts, requestId, {
+    isRange: Boolean(date_from && date_to),
+    groupByDate: group_by === 'date',
+    fullText: full_text === true,
+    prefilter,
+    semantic,
+    service
+  });
+  
+  // Prepare response structure with the extracted user_id and subscription_id
+  const response = buildResponse({
+    traceId,
+    prompts,
+    subscriptionId: effectiveSubscriptionId,
+    userId: effectiveUserId,
+    boeContent,
+    results,
+    startTime
+  });
+  
+  // Skip what this subscription was already notified of, then store the results in the outbox;
+  // they are published to PubSub in the background, and remembered as notified once published
+  await applySeenSet(response, requestId);
+  await enqueueResults(response, requestId, { onPublished: () => recordNotified(response, requestId) });
+
+  return response;
+}
+
+/**
+ * Analyze many subscriptions against a single BOE fetch
+ * The issue is fetched and parsed once, each distinct prompt is analyzed once, and
+ * one Pub/Sub message is published per subscription
+ * @param {Object} body - Validated /analyze-batch request body
+ * @param {string} requestId - Request ID for tracing
+ * @param {number} startTime - Request start time, for processing_time_ms
+ * @returns {Promise<Object>} - Batch response
+ */
+export async function runBatchAnalysis(body, requestId, startTime) {
+  const { subscriptions, date, date_from, date_to, group_by, full_text, bulletin, prefilter, semantic, service } = body;
+
+  const batchId = randomUUID();
+  const uniquePrompts = [...new Set(subscriptions.flatMap(subscription => subscription.texts))];
+
+  console.log(`Processing BOE batch analysis request - Request ID: ${requestId}, Batch ID: ${batchId}, Subscriptions: ${subscriptions.length}, Distinct Prompts: ${uniquePrompts.length}`);
+
+  const { boeContent } = await parseBOE({
+    date,
+    dateFrom: date_from,
+    dateTo: date_to,
+    prompts: uniquePrompts,
+    requestId,
+    bulletin
+  });
+
+  // Analyze a few prompts at a time so a large batch does not flood the model with calls
+  const analysisOptions = {
+    isRange: Boolean(date_from && date_to),
+    groupByDate: group_by === 'date',
+    prefilter,
+    semantic,
+    service
+  };
+  let allResults = [];
+  const concurrency = Math.max(1, config.analysis.batchConcurrency);
+  for (let i = 0; i < uniquePrompts.length; i += concurrency) {
+    const promptBatch = uniquePrompts.slice(i, i + concurrency);
+    allResults.push(...await analyzePrompts(boeContent, promptBatch, requestId, analysisOptions));
+  }
+
+  // The full-text pass runs once over every prompt's results, so each disposition is fetched once
+  if (full_text === true) {
+    allResults = await refineWithFullText(allResults, requestId, service, concurrency);
+  }
+
+  const resultsByPrompt = new Map();
+  allResults.forEach(result => {
+    resultsByPrompt.set(result.prompt, [...(resultsByPrompt.get(result.prompt) || []), result]);
+  });
+
+  const responses = subscriptions.map(subscription => buildResponse({
+    traceId: randomUUID(),
+    prompts: subscription.texts,
+    subscriptionId: subscription.subscription_id,
+    userId: subscription.user_id,
+    boeContent,
+    results: subscription.texts.flatMap(prompt => resultsByPrompt.get(prompt) || []),
+    startTime
+  }));
+
+  // One message per subscription, so the notification worker handles each independently
+  await Promise.all(responses.map(async response => {
+    await applySeenSet(response, requestId);
+    await enqueueResults(response, requestId, { onPublished: () => recordNotified(response, requestId) });
+  }));
+
+  console.log(`BOE batch analysis completed - Request ID: ${requestId}, Batch ID: ${batchId}, Subscriptions: ${responses.length}, Status: ${boeContent.status}`);
+
+  return {
+    batch_id: batchId,
+    results: {
+      boe_info: boeContent.boe_info,
+      query_date: boeContent.query_date
+    },
+    responses,
+    metadata: {
+      processing_time_ms: Date.now() - startTime,
+      total_items_processed: boeContent.items.length,
+      subscriptions_count: subscriptions.length,
+      prompts_analyzed: uniquePrompts.length,
+      status: boeContent.status,
+      from_cache: boeContent.from_cache,
+      ...(boeContent.error && { status_message: boeContent.error })
+    }
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Local filesystem cache backend
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+
+/**
+ * Create a cache storing one JSON file per key
+ * Entries survive restarts; expired files are removed when read
+ * @param {Object} options - Options { directory }
+ * @returns {Object} - Cache backend { get, set, delete }
+ */
+export function createFilesystemCache({ directory }) {
+  /**
+   * Get the file holding a key, hashing the key so it is always a safe file name
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  function getFilePath(key) {
+    return path.join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  return {
+    name: 'filesystem',
+
+    async get(key) {
+      const filePath = getFilePath(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Ignoring unreadable cache file ${filePath}: ${error.message}`);
+        }
+        return null;
+      }
+
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await fs.rm(filePath, { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      const filePath = getFilePath(key);
+      const entry = { key, value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+
+      // Write to a temporary file first so readers never see a partial entry
+      await fs.mkdir(directory, { recursive: true });
+      const tempPath = `${filePath}.${randomUUID()}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(entry));
+      await fs.rename(tempPath, filePath);
+    },
+
+    async delete(key) {
+      await fs.rm(getFilePath(key), { force: true });
+    }
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Cloud Storage cache backend - one store shared by every instance of the service
+ */
+import { Storage } from '@google-cloud/storage';
+import { createHash } from 'crypto';
+import config from '../../config/config.js';
+
+let storageClient;
+
+/**
+ * Get Cloud Storage client instance
+ * @returns {Object} - Storage client
+ */
+function getStorage() {
+  if (!storageClient) {
+    storageClient = new Storage({ projectId: config.gcp.projectId || undefined });
+  }
+  return storageClient;
+}
+
+/**
+ * Create a cache storing one JSON object per key in a Cloud Storage bucket
+ * Entries survive restarts and are seen by every instance; expired objects are removed when read
+ * @param {Object} options - Options { bucket, prefix }
+ * @returns {Object} - Cache backend { get, set, delete }
+ */
+export function createGcsCache({ bucket, prefix }) {
+  /**
+   * Get the object holding a key, hashing the key so it is always a safe object name
+   * @param {string} key - Cache key
+   * @returns {Object} - Storage file
+   */
+  function getFile(key) {
+    return getStorage().bucket(bucket).file(`${prefix}/${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  return {
+    name: 'gcs',
+
+    async get(key) {
+      let contents;
+      try {
+        [contents] = await getFile(key).download();
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(contents.toString('utf8'));
+      } catch (error) {
+        console.warn(`Ignoring unreadable cache object ${getFile(key).name} in bucket ${bucket}: ${error.message}`);
+        return null;
+      }
+
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await getFile(key).delete({ ignoreNotFound: true });
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      const entry = { key, value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+      // Uploads replace the object whole, so readers never see a partial entry
+      await getFile(key).save(JSON.stringify(entry), { contentType: 'application/json', resumable: false });
+    },
+
+    async delete(key) {
+      await getFile(key).delete({ ignoreNotFound: true });
+    }
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Cache module - pluggable key/value cache with per-entry TTL
+ */
+import path from 'path';
+import config from '../../config/config.js';
+import { createMemoryCache } from './memory.js';
+import { createFilesystemCache } from './filesystem.js';
+import { createGcsCache } from './gcs.js';
+
+/**
+ * Create a cache for a namespace with the configured backend
+ * Backends expose async get(key), set(key, value, ttlSeconds) and delete(key);
+ * a missing ttlSeconds keeps the entry until it is evicted
+ * @param {string} namespace - Cache namespace, used as the filesystem subdirectory or bucket prefix
+ * @param {Object} [options={}] - Options { backend, maxEntries, directory, bucket }, defaulting to config.cache
+ * @returns {Object|null} - Cache backend, or null when caching is disabled
+ */
+export function createCache(namespace, options = {}) {
+  const backend = options.backend || config.cache.backend;
+
+  switch (backend) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemoryCache({ maxEntries: options.maxEntries || config.cache.maxEntries });
+    case 'filesystem':
+      return createFilesystemCache({ directory: path.join(options.directory || config.cache.directory, namespace) });
+    case 'gcs': {
+      const bucket = options.bucket || config.cache.gcsBucket;
+      if (!bucket) {
+        throw new Error('Cache backend gcs needs a bucket (CACHE_GCS_BUCKET)');
+      }
+      return createGcsCache({ bucket, prefix: namespace });
+    }
+    default:
+      throw new Error(`Unsupported cache backend: ${backend}`);
+  }
+}
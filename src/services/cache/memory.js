@@ -0,0 +1,42 @@
+/**
+ * In-memory cache backend
+ */
+
+/**
+ * Create an in-memory cache
+ * Entries are dropped once expired or, past maxEntries, least recently used first
+ * @param {Object} [options={}] - Options { maxEntries }
+ * @returns {Object} - Cache backend { get, set, delete }
+ */
+export function createMemoryCache({ maxEntries = 100 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Re-insert to keep the map in least recently used order
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Idempotent analysis requests - repeated requests get the stored response instead of
+ * being analyzed and published again
+ */
+import { createHash } from 'crypto';
+import config from '../../config/config.js';
+import { createCache } from '../cache/index.js';
+import { createConflictError } from '../../utils/errors/AppError.js';
+import { getTodayInSpain } from '../../utils/dateFormatter.js';
+
+// Stored responses by idempotency key, created on first use
+let responseStore;
+
+// Requests still running by idempotency key, so concurrent retries wait for the first one
+const pending = new Map();
+
+/**
+ * Get the stored-response store
+ * Idempotency always needs a store, so a disabled cache falls back to memory
+ * @returns {Object} - Cache backend holding stored responses
+ */
+function getResponseStore() {
+  if (!responseStore) {
+    const backend = config.cache.backend === 'none' ? 'memory' : config.cache.backend;
+    responseStore = createCache('idempotency', { backend, maxEntries: config.idempotency.maxEntries });
+  }
+  return responseStore;
+}
+
+/**
+ * Sort the keys of objects, recursively, so equal values serialize the same whatever their key order
+ * @param {*} value - JSON-serializable value
+ * @returns {*} - Value with sorted object keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Hash a value into a stable hex digest
+ * @param {*} value - JSON-serializable value
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashValue(value) {
+  return createHash('sha256').update(JSON.stringify(sortKeys(value))).digest('hex');
+}
+
+/**
+ * Get the idempotency key of an /analyze-text request
+ * Uses the Idempotency-Key header, or derives one from every analysis option of the body,
+ * with the defaults the analysis would apply filled in
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { key, fingerprint }, or null when there is no header and no subscription to derive a key from.
+ *   fingerprint hashes the body of header keys to detect their reuse; derived keys already are one
+ */
+export function getIdempotencyKey(req) {
+  const header = req.get('Idempotency-Key');
+  if (header) {
+    return { key: `header:${header}`, fingerprint: hashValue(req.body) };
+  }
+
+  // metadata only carries tracking IDs, which change between retries
+  const { metadata, ...options } = req.body;
+  const subscriptionId = options.subscription_id || metadata?.subscription_id;
+  if (!subscriptionId) {
+    return null;
+  }
+
+  const key = hashValue({
+    ...options,
+    subscription_id: subscriptionId,
+    user_id: options.user_id || metadata?.user_id || '',
+    bulletin: (options.bulletin || 'BOE').toUpperCase(),
+    // Requests without a date analyze today's issue
+    date: options.date_from && options.date_to ? null : options.date || getTodayInSpain(),
+    service: options.service || config.analysis.defaultService,
+    full_text: options.full_text === true,
+    async: options.async === true
+  });
+  return { key: `derived:${key}`, fingerprint: null };
+}
+
+/**
+ * Run work once per idempotency key within the configured window
+ * A repeated key returns the stored result; a header key reused with a different body is a conflict.
+ * Failed work, and results toStored returns null for, are not stored, so they can be retried.
+ * @param {Object} idempotency - { key, fingerprint } from getIdempotencyKey
+ * @param {string} requestId - Request ID for logging
+ * @param {Function} work - Async function producing the result
+ * @param {Object} [options={}] - Options {
+ *   toStored: result => value to store, or null not to store it (defaults to the result),
+ *   fromStored: async value => result to replay, or null to run the work again (defaults to the value) }
+ * @returns {Promise<{result: Object, replayed: boolean}>} - Result and whether it was produced by an earlier request
+ */
+export async function runIdempotent({ key, fingerprint }, requestId, work, options = {}) {
+  const { toStored = result => result, fromStored = async value => value } = options;
+  const store = getResponseStore();
+
+  const checkFingerprint = entry => {
+    if (entry.fingerprint !== fingerprint) {
+      throw createConflictError('Idempotency-Key was already used with a different request body', {
+        original_request_id: entry.request_id
+      });
+    }
+  };
+
+  const stored = await store.get(key);
+  if (stored) {
+    checkFingerprint(stored);
+    const result = await fromStored(stored.result);
+    if (result) {
+      console.log(`Replaying stored response - Request ID: ${requestId}, Original Request ID: ${stored.request_id}`);
+      return { result, replayed: true };
+    }
+    console.log(`Stored response is no longer valid, running again - Request ID: ${requestId}, Original Request ID: ${stored.request_id}`);
+    await store.delete(key);
+  }
+
+  const inProgress = pending.get(key);
+  if (inProgress) {
+    checkFingerprint(inProgress);
+    console.log(`Waiting for the same request in progress - Request ID: ${requestId}, Original Request ID: ${inProgress.request_id}`);
+    return { result: await inProgress.promise, replayed: true };
+  }
+
+  const promise = (async () => {
+    const result = await work();
+    const value = toStored(result);
+    if (value === null) {
+      return result;
+    }
+    try {
+      await store.set(key, { fingerprint, request_id: requestId, result: value }, config.idempotency.ttlSeconds);
+    } catch (error) {
+      console.warn(`Failed to store idempotent response - Request ID: ${requestId}, Error: ${error.message}`);
+    }
+    return result;
+  })();
+
+  pending.set(key, { fingerprint, request_id: requestId, promise });
+  try {
+    return { result: await promise, replayed: false };
+  } finally {
+    pending.delete(key);
+  }
+}
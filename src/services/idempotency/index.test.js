@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { randomUUID } from 'crypto';
+import config from '../../config/config.js';
+import { getIdempotencyKey, runIdempotent } from './index.js';
+
+config.cache.backend = 'memory';
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+// A key of its own for each test, as stored responses outlive them
+const newKey = (fingerprint = 'body-a') => ({ key: `header:${randomUUID()}`, fingerprint });
+
+const request = (body, headers = {}) => ({ body, get: name => headers[name] });
+
+describe('runIdempotent', () => {
+  it('replays the stored result of a repeated key', async () => {
+    const idempotency = newKey();
+    const work = vi.fn().mockResolvedValue({ status: 200, body: { ok: true } });
+
+    const first = await runIdempotent(idempotency, 'req-1', work);
+    const second = await runIdempotent(idempotency, 'req-2', work);
+
+    expect(first).toEqual({ result: { status: 200, body: { ok: true } }, replayed: false });
+    expect(second).toEqual({ result: { status: 200, body: { ok: true } }, replayed: true });
+    expect(work).toHaveBeenCalledOnce();
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    const idempotency = newKey('body-a');
+    await runIdempotent(idempotency, 'req-1', async () => ({ status: 200 }));
+
+    await expect(runIdempotent({ ...idempotency, fingerprint: 'body-b' }, 'req-2', async () => ({ status: 200 })))
+      .rejects.toMatchObject({ statusCode: 409, details: { original_request_id: 'req-1' } });
+  });
+
+  it('makes concurrent requests wait for the one in progress', async () => {
+    const idempotency = newKey();
+    let finish;
+    const work = vi.fn(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+
+    const first = runIdempotent(idempotency, 'req-1', work);
+    const second = runIdempotent(idempotency, 'req-2', work);
+    await vi.waitFor(() => expect(finish).toBeDefined());
+    finish({ status: 200 });
+
+    expect(await first).toEqual({ result: { status: 200 }, replayed: false });
+    expect(await second).toEqual({ result: { status: 200 }, replayed: true });
+    expect(work).toHaveBeenCalledOnce();
+  });
+
+  it('rejects a concurrent request with a different body', async () => {
+    const idempotency = newKey('body-a');
+    let finish;
+    const first = runIdempotent(idempotency, 'req-1', () => new Promise(resolve => {
+      finish = resolve;
+    }));
+
+    await vi.waitFor(() => expect(finish).toBeDefined());
+    await expect(runIdempotent({ ...idempotency, fingerprint: 'body-b' }, 'req-2', async () => ({})))
+      .rejects.toMatchObject({ statusCode: 409 });
+    finish({ status: 200 });
+    await first;
+  });
+
+  it('does not store results toStored returns null for', async () => {
+    const idempotency = newKey();
+    const work = vi.fn().mockResolvedValue({ status: 200, body: { final: false } });
+    const options = { toStored: () => null };
+
+    await runIdempotent(idempotency, 'req-1', work, options);
+    const second = await runIdempotent(idempotency, 'req-2', work, options);
+
+    expect(second.replayed).toBe(false);
+    expect(work).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs the work again when fromStored returns null', async () => {
+    const idempotency = newKey();
+    const work = vi.fn().mockResolvedValue({ status: 202, body: { job_id: 'job-1' } });
+    const options = { toStored: result => ({ job_id: result.body.job_id }), fromStored: async () => null };
+
+    await runIdempotent(idempotency, 'req-1', work, options);
+    const second = await runIdempotent(idempotency, 'req-2', work, options);
+
+    expect(second.replayed).toBe(false);
+    expect(work).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not store failed work', async () => {
+    const idempotency = newKey();
+    const work = vi.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValue({ status: 200 });
+
+    await expect(runIdempotent(idempotency, 'req-1', work)).rejects.toThrow('boom');
+    expect(await runIdempotent(idempotency, 'req-2', work)).toEqual({ result: { status: 200 }, replayed: false });
+  });
+});
+
+describe('getIdempotencyKey', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('uses the Idempotency-Key header, fingerprinting the body', () => {
+    const key = getIdempotencyKey(request({ texts: ['a'] }, { 'Idempotency-Key': 'abc' }));
+    const other = getIdempotencyKey(request({ texts: ['b'] }, { 'Idempotency-Key': 'abc' }));
+
+    expect(key.key).toBe('header:abc');
+    expect(key.fingerprint).not.toBe(other.fingerprint);
+  });
+
+  it('returns null without header or subscription', () => {
+    expect(getIdempotencyKey(request({ texts: ['a'] }))).toBeNull();
+  });
+
+  it('derives the same key whatever the key order or tracking metadata', () => {
+    const key = getIdempotencyKey(request({ texts: ['a'], subscription_id: 's1', date: '2025-03-20', metadata: { trace: 1 } }));
+    const same = getIdempotencyKey(request({ date: '2025-03-20', subscription_id: 's1', texts: ['a'], metadata: { trace: 2 } }));
+
+    expect(key).toEqual(same);
+    expect(key.fingerprint).toBeNull();
+  });
+
+  it('keys dateless requests by the Spanish calendar day', () => {
+    // 00:30 on 2 July in Madrid, still 1 July in UTC
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-07-01T22:30:00Z'));
+
+    const dateless = getIdempotencyKey(request({ texts: ['a'], subscription_id: 's1' }));
+
+    expect(dateless).toEqual(getIdempotencyKey(request({ texts: ['a'], subscription_id: 's1', date: '2025-07-02' })));
+  });
+});
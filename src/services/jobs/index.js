@@ -0,0 +1,113 @@
+/**
+ * Background jobs - run analysis work outside the HTTP request and keep its state
+ */
+import { randomUUID } from 'crypto';
+import config from '../../config/config.js';
+import { createCache } from '../cache/index.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// Job records by ID, created on first use
+let jobStore;
+
+/**
+ * Get the job store
+ * Jobs always need a store, so a disabled cache falls back to memory
+ * @returns {Object} - Cache backend holding job records
+ */
+function getJobStore() {
+  if (!jobStore) {
+    const configured = config.jobs.backend || config.cache.backend;
+    const backend = configured === 'none' ? 'memory' : configured;
+    jobStore = createCache('jobs', { backend, maxEntries: config.jobs.maxJobs });
+
+    // Cloud Run sets K_SERVICE; its instances do not share memory or disk
+    if (backend !== 'gcs' && process.env.K_SERVICE) {
+      console.warn(`Jobs are kept per instance (backend: ${backend}): GET /api/jobs/:id only finds jobs started by the same instance. Set JOBS_BACKEND=gcs when running more than one instance.`);
+    }
+  }
+  return jobStore;
+}
+
+/**
+ * Warn at startup when async jobs may be starved of CPU
+ * Cloud Run throttles the CPU of an instance between requests unless it is always allocated,
+ * and jobs run after their 202 response, so they would crawl or stall until the next request
+ */
+export function checkJobsEnvironment() {
+  if (process.env.K_SERVICE && !config.jobs.cpuAlwaysOn) {
+    console.warn('Async jobs run after their 202 response: deploy with CPU always allocated (--no-cpu-throttling) and set JOBS_CPU_ALWAYS_ON=true, or avoid "async": true, as Cloud Run throttles the CPU between requests.');
+  }
+}
+
+/**
+ * Save a job record, refreshing its retention period
+ * @param {Object} job - Job record
+ * @returns {Promise<Object>} - Saved job record
+ */
+async function saveJob(job) {
+  const updated = { ...job, updated_at: new Date().toISOString() };
+  await getJobStore().set(updated.id, updated, config.jobs.ttlSeconds);
+  return updated;
+}
+
+/**
+ * Get a job record
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Job record or null if unknown or expired
+ */
+export function getJob(jobId) {
+  return getJobStore().get(jobId);
+}
+
+/**
+ * Create a job and run its work in the background
+ * The returned record is queued; its state and result are updated in the store as the work runs
+ * @param {string} type - Job type (e.g. analyze-text)
+ * @param {Function} work - Async function producing the job result
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} - Queued job record
+ */
+export async function startJob(type, work, requestId) {
+  const job = await saveJob({
+    id: randomUUID(),
+    type,
+    status: JOB_STATUS.QUEUED,
+    request_id: requestId,
+    created_at: new Date().toISOString(),
+  });
+
+  console.log(`Job queued - Request ID: ${requestId}, Job ID: ${job.id}, Type: ${type}`);
+
+  setImmediate(async () => {
+    const startTime = Date.now();
+    let current = job;
+    try {
+      current = await saveJob({ ...job, status: JOB_STATUS.RUNNING, started_at: new Date().toISOString() });
+      const result = await work();
+      await saveJob({ ...current, status: JOB_STATUS.COMPLETED, completed_at: new Date().toISOString(), result });
+      console.log(`Job completed - Request ID: ${requestId}, Job ID: ${job.id}, Time: ${Date.now() - startTime}ms`);
+    } catch (error) {
+      console.error(`Job failed - Request ID: ${requestId}, Job ID: ${job.id}, Error:`, error);
+      await saveJob({
+        ...current,
+        status: JOB_STATUS.FAILED,
+        completed_at: new Date().toISOString(),
+        // Same exposure rule as the error handler: only operational errors carry a safe message
+        error: {
+          code: error.code || 'INTERNAL_SERVER_ERROR',
+          message: error.isOperational ? error.message : 'An internal server error occurred'
+        }
+      }).catch(storeError => {
+        console.error(`Failed to record job failure - Request ID: ${requestId}, Job ID: ${job.id}, Error:`, storeError);
+      });
+    }
+  });
+
+  return job;
+}
@@ -1,70 +1,59 @@
-import { MAX_CHUNK_SIZE } from './config.js';
-import { logger } from '../../utils/logger.js';
-import { encode } from 'gpt-tokenizer';
+import { MAX_CHUNK_SIZE, MAX_CONCURRENT_REQUESTS } from './config.js';
+import { countTokens } from 'gpt-tokenizer';
 
-export function chunkBOEContent(items) {
+/**
+ * Count the tokens an item takes in the prompt, where items are pretty-printed
+ * @param {Object} item - BOE item
+ * @returns {number} - Token count
+ */
+export function countItemTokens(item) {
+  return countTokens(JSON.stringify(item, null, 2));
+}
+
+/**
+ * Split BOE items into chunks that fit a token budget
+ * Items are kept in order; an item larger than the budget on its own gets a chunk of its own
+ * @param {Array} items - BOE items
+ * @param {number} maxTokens - Token budget for the items of a chunk
+ * @returns {Array<{items: Array, tokenCount: number}>} - Chunks
+ */
+export function chunkBOEContent(items, maxTokens) {
   const chunks = [];
-  let totalTokens = 0;
-  const MAX_SAFE_TOKENS = 100000; // Leave ~28k tokens for system prompt and response
+  let current = { items: [], tokenCount: 0 };
 
-  for (let i = 0; i < items.length; i += MAX_CHUNK_SIZE) {
-    const chunk = items.slice(i, i + MAX_CHUNK_SIZE);
-    const chunkText = JSON.stringify(chunk);
-    const tokenCount = encode(chunkText).length;
-    
-    // If chunk is too large, split it in half
-    if (tokenCount > MAX_SAFE_TOKENS) {
-      const halfSize = Math.floor(chunk.length / 2);
-      const firstHalf = chunk.slice(0, halfSize);
-      const secondHalf = chunk.slice(halfSize);
-      
-      const firstHalfText = JSON.stringify(firstHalf);
-      const secondHalfText = JSON.stringify(secondHalf);
-      
-      chunks.push({ 
-        items: firstHalf, 
-        tokenCount: encode(firstHalfText).length 
-      });
-      chunks.push({ 
-        items: secondHalf, 
-        tokenCount: encode(secondHalfText).length 
-      });
-      totalTokens += encode(firstHalfText).length + encode(secondHalfText).length;
-    } else {
-      chunks.push({ items: chunk, tokenCount });
-      totalTokens += tokenCount;
+  items.forEach(item => {
+    const tokenCount = countItemTokens(item);
+    const full = current.tokenCount + tokenCount > maxTokens || current.items.length >= MAX_CHUNK_SIZE;
+    if (current.items.length > 0 && full) {
+      chunks.push(current);
+      current = { items: [], tokenCount: 0 };
     }
-    totalTokens += tokenCount;
-    chunks.push({ items: chunk, tokenCount });
+    current.items.push(item);
+    current.tokenCount += tokenCount;
+  });
+  if (current.items.length > 0) {
+    chunks.push(current);
   }
 
-  logger.info({ 
-    averageTokensPerChunk: Math.round(totalTokens / chunks.length),
-    totalTokens,
-    sampleChunkTokens: chunks[0].tokenCount,
-    numberOfChunks: chunks.length
-  }, 'Chunk token analysis');
+  if (chunks.length > 1) {
+    const totalTokens = chunks.reduce((acc, chunk) => acc + chunk.tokenCount, 0);
+    console.log(`Chunk token analysis - Chunks: ${chunks.length}, Items: ${items.length}, Total Tokens: ${totalTokens}, Average Tokens Per Chunk: ${Math.round(totalTokens / chunks.length)}, Max Tokens: ${maxTokens}`);
+  }
 
   return chunks;
 }
 
-export function getChunksToProcess(chunks, reqId) {
-  const isDevMode = process.env.NODE_ENV === 'development';
-  
-  logger.info({ 
-    reqId, 
-    totalChunks: chunks.length,
-    itemsPerChunk: MAX_CHUNK_SIZE, 
-    totalItems: chunks.reduce((acc, chunk) => acc + chunk.items.length, 0),
-    mode: isDevMode ? 'development' : 'production'
-  }, 'Starting BOE content analysis');
-
-  // In development mode, only process the first chunk
-  const chunksToProcess = isDevMode ? chunks.slice(0, 1) : chunks;
-  
-  if (isDevMode) {
-    logger.info({ reqId }, 'Development mode: processing only first chunk');
+/**
+ * Process chunks a few at a time, so a large issue does not flood the model with calls
+ * @param {Array} chunks - Chunks from chunkBOEContent
+ * @param {Function} processChunk - Async function (chunk, index) returning the chunk's result
+ * @returns {Promise<Array>} - Results, in chunk order
+ */
+export async function processChunks(chunks, processChunk) {
+  const results = [];
+  for (let i = 0; i < chunks.length; i += MAX_CONCURRENT_REQUESTS) {
+    const batch = chunks.slice(i, i + MAX_CONCURRENT_REQUESTS);
+    results.push(...await Promise.all(batch.map((chunk, index) => processChunk(chunk, i + index))));
   }
-
-  return chunksToProcess;
-}
\ No newline at end of file
+  return results;
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from 'vitest';
+import { countItemTokens, chunkBOEContent, processChunks } from './chunker.js';
+import { MAX_CHUNK_SIZE, MAX_CONCURRENT_REQUESTS } from './config.js';
+
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const makeItem = (index, words = 20) => ({
+  identifier: `BOE-A-2025-${index}`,
+  title: Array.from({ length: words }, (_, word) => `palabra${word}`).join(' ')
+});
+
+describe('chunkBOEContent', () => {
+  it('keeps every chunk within the token budget, in order', () => {
+    const items = Array.from({ length: 30 }, (_, index) => makeItem(index));
+    const budget = countItemTokens(items[0]) * 4;
+
+    const chunks = chunkBOEContent(items, budget);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.tokenCount).toBeLessThanOrEqual(budget);
+      expect(chunk.tokenCount).toBe(chunk.items.reduce((sum, item) => sum + countItemTokens(item), 0));
+    });
+    expect(chunks.flatMap(chunk => chunk.items)).toEqual(items);
+  });
+
+  it('puts everything in one chunk when it fits', () => {
+    const items = [makeItem(1), makeItem(2)];
+    expect(chunkBOEContent(items, 100000)).toEqual([
+      { items, tokenCount: countItemTokens(items[0]) + countItemTokens(items[1]) }
+    ]);
+  });
+
+  it('gives an item over the budget a chunk of its own', () => {
+    const items = [makeItem(1), makeItem(2, 500), makeItem(3)];
+    const budget = countItemTokens(items[0]) * 2;
+
+    const chunks = chunkBOEContent(items, budget);
+
+    expect(chunks.map(chunk => chunk.items.map(item => item.identifier))).toEqual([
+      ['BOE-A-2025-1'], ['BOE-A-2025-2'], ['BOE-A-2025-3']
+    ]);
+    expect(chunks[1].tokenCount).toBeGreaterThan(budget);
+  });
+
+  it(`caps chunks at ${MAX_CHUNK_SIZE} items`, () => {
+    const items = Array.from({ length: MAX_CHUNK_SIZE + 1 }, (_, index) => ({ identifier: String(index) }));
+    expect(chunkBOEContent(items, Infinity).map(chunk => chunk.items.length)).toEqual([MAX_CHUNK_SIZE, 1]);
+  });
+
+  it('returns no chunks without items', () => {
+    expect(chunkBOEContent([], 1000)).toEqual([]);
+  });
+});
+
+describe('processChunks', () => {
+  it(`runs at most ${MAX_CONCURRENT_REQUESTS} chunks at a time and keeps their order`, async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await processChunks([3, 1, 2, 0, 1], async (delay, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(maxRunning).toBe(MAX_CONCURRENT_REQUESTS);
+  });
+});
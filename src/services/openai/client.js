@@ -1,17 +1,23 @@
+/**
+ * OpenAI client initialization
+ */
 import OpenAI from 'openai';
-import { logger } from '../../utils/logger.js';
 import https from 'https';
+import config from '../../config/config.js';
+import { createConfigurationError } from '../../utils/errors/AppError.js';
 
 let openai;
 
-export function getOpenAIClient(reqId) {
+/**
+ * Initialize and get the OpenAI client
+ * @returns {Object} OpenAI client instance
+ */
+export function getOpenAIClient() {
   if (!openai) {
-    logger.debug({ reqId }, 'Initializing OpenAI client');
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
+    if (!config.services.openai.apiKey) {
+      throw createConfigurationError('OpenAI API key not configured.', { service: 'OpenAI' });
     }
-    
+
     // Create an HTTPS agent with keep-alive and appropriate timeouts
     const httpsAgent = new https.Agent({
       keepAlive: true,
@@ -20,13 +26,21 @@ export function getOpenAIClient(reqId) {
       maxSockets: 25, // Limit concurrent connections
       maxFreeSockets: 5
     });
-    
-    openai = new OpenAI({ 
-      apiKey,
+
+    openai = new OpenAI({
+      apiKey: config.services.openai.apiKey,
       httpAgent: httpsAgent,
       timeout: 120000, // 2 minutes
       maxRetries: 3
     });
+    console.log('OpenAI client initialized with model:', config.services.openai.model);
   }
   return openai;
-}
\ No newline at end of file
+}
+
+/**
+ * Reset client (useful for testing or config changes)
+ */
+export function resetOpenAIClient() {
+  openai = null;
+}
@@ -1,29 +1,4 @@
-// With GPT-4o-mini's 128k token limit, we can process ~800 items per chunk
-// Using 750 to leave room for the system prompt and response
+// Items per chunk, on top of the token budget (ANALYSIS_CHUNK_MAX_TOKENS)
 export const MAX_CHUNK_SIZE = 750;
+// Chunks of the same analysis sent to the model at the same time
 export const MAX_CONCURRENT_REQUESTS = 2;
-
-export const RESPONSE_SCHEMA = {
-  matches: [{
-    document_type: ['RESOLUTION', 'ORDER', 'ROYAL_DECREE', 'LAW', 'ANNOUNCEMENT', 'OTHER'],
-    issuing_body: '',
-    title: '',
-    dates: {
-      document_date: '',
-      publication_date: ''
-    },
-    code: '',
-    section: '',
-    department: '',
-    links: {
-      pdf: '',
-      html: ''
-    },
-    relevance_score: 0,
-    summary: ''
-  }],
-  metadata: {
-    match_count: 0,
-    max_relevance: 0
-  }
-};
\ No newline at end of file
@@ -1,45 +1,84 @@
-import { logger } from '../../utils/logger.js';
-import { analyzeWithoutChunking } from './analyzer.js';
+/**
+ * OpenAI service for BOE analysis - same interface and match structure as the Gemini service
+ */
+import config from '../../config/config.js';
+import { analyzeWithoutChunking, analyzeChunk, refineMatch } from './analyzer.js';
+import { chunkBOEContent, processChunks } from './chunker.js';
+import { mergeResults } from './merger.js';
+
+/**
+ * Analyze BOE items with OpenAI
+ * @param {Array} boeItems - BOE items to analyze
+ * @param {string} prompt - User's search prompt
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options={}] - Analysis options, including model to override the configured one
+ * @returns {Promise<Object>} - Analysis results { matches, metadata }
+ */
+export async function analyzeWithOpenAI(boeItems, prompt, requestId, options = {}) {
+  const startTime = Date.now();
 
-export async function analyzeWithOpenAI(text, reqId, requestPayload = {}) {
   try {
-    // Parse the input to separate query from BOE content
-    const match = text.match(/User Query: (.*?)\n\nBOE Content: (.*)/s);
-    if (!match) {
-      throw new Error('Invalid input format');
-    }
+    const chunks = chunkBOEContent(boeItems, config.analysis.chunking.maxTokens);
+    const result = chunks.length <= 1
+      ? await analyzeWithoutChunking(boeItems, prompt, requestId, options.model)
+      : await analyzeInChunks(chunks, boeItems.length, prompt, requestId, options.model);
+    result.metadata.processing_time_ms = Date.now() - startTime;
 
-    const [, query, boeContent] = match;
-    const items = JSON.parse(boeContent);
+    console.log(`OpenAI analysis successful - Request ID: ${requestId}, Matches: ${result.matches.length}, Time: ${result.metadata.processing_time_ms}ms, Total Tokens: ${result.metadata.token_usage.total_tokens}`);
 
-    // Log information about the content to be analyzed
-    logger.info({ 
-      reqId, 
-      contentSize: {
-        itemCount: items.length,
-        contentSize: boeContent.length,
-        querySize: query.length
-      }
-    }, 'Starting BOE analysis with gpt-4o-mini (200K context)');
+    return result;
+  } catch (error) {
+    console.error(`OpenAI analysis error - Request ID: ${requestId}, Time: ${Date.now() - startTime}ms, Error:`, error);
+    throw error;
+  }
+}
 
-    // Process all BOE items in a single request using gpt-4o-mini's large context window
-    const result = await analyzeWithoutChunking(items, query, reqId, requestPayload);
-    
-    logger.info({ 
-      reqId, 
-      totalMatches: result.matches.length,
-      processingTime: Date.now() - new Date(requestPayload.startTime || Date.now()).getTime()
-    }, 'Analysis completed successfully');
+/**
+ * Analyze chunks of BOE items a few at a time and merge their matches
+ * @param {Array} chunks - Chunks from chunkBOEContent
+ * @param {number} totalItems - Items across all chunks
+ * @param {string} prompt - User's search prompt
+ * @param {string} requestId - Request ID for logging
+ * @param {string} [model] - OpenAI model, defaults to the configured one
+ * @returns {Promise<Object>} - Analysis results { matches, metadata }
+ */
+async function analyzeInChunks(chunks, totalItems, prompt, requestId, model) {
+  console.log(`Analyzing BOE items with OpenAI in chunks - Request ID: ${requestId}, Items: ${totalItems}, Chunks: ${chunks.length}`);
 
-    return result;
+  const results = await processChunks(chunks, chunk => analyzeChunk(chunk, prompt, requestId, totalItems, model));
+  const merged = mergeResults(results);
+  const sumTokens = key => results.reduce((acc, result) => acc + result.metadata.token_usage[key], 0);
+
+  return {
+    matches: merged.matches,
+    metadata: {
+      model_used: results[0].metadata.model_used,
+      chunks: chunks.length,
+      duplicates_removed: merged.metadata.duplicates_removed,
+      finish_reasons: results.map(result => result.metadata.finish_reason),
+      token_usage: {
+        input_tokens: sumTokens('input_tokens'),
+        output_tokens: sumTokens('output_tokens'),
+        total_tokens: sumTokens('total_tokens')
+      }
+    }
+  };
+}
+
+/**
+ * Re-score and re-summarize a match with OpenAI using the disposition's full text
+ * @param {Object} match - Match selected from the sumario
+ * @param {string} documentText - Full text of the disposition
+ * @param {string} prompt - User's search prompt
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options={}] - Options { model: OpenAI model, defaults to config }
+ * @returns {Promise<Object>} - { relevance_score, notification_title, summary }
+ */
+export async function refineWithOpenAI(match, documentText, prompt, requestId, options = {}) {
+  try {
+    return await refineMatch(match, documentText, prompt, requestId, options.model);
   } catch (error) {
-    logger.error({ 
-      reqId,
-      error: error.message,
-      stack: error.stack,
-      code: error.code,
-      statusCode: error.status
-    }, 'Error analyzing with OpenAI');
-    throw new Error(`Failed to analyze with OpenAI: ${error.message}`);
+    console.error(`OpenAI refinement error - Request ID: ${requestId}, Title: ${(match.title || '').substring(0, 60)}, Error:`, error);
+    throw error;
   }
-}
\ No newline at end of file
+}
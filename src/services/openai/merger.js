@@ -1,24 +1,76 @@
-export function mergeResults(results) {
-  const matches = [];
-  let maxRelevance = 0;
+/**
+ * Merging of the matches returned by several analyses (chunks of an issue, or a single call
+ * whose answer repeats a disposition) into one deduplicated, ranked list
+ */
+import { getMatchIdentifier } from '../parser/index.js';
+import { normalizeTitle } from '../ai/normalizer.js';
+
+/**
+ * Get the identifier matches are compared by
+ * @param {Object} match - Match
+ * @returns {string} - Disposition identifier (from the match or its links, in its bulletin's format), the match's own identifier, or ''
+ */
+function getIdentifier(match) {
+  return (getMatchIdentifier(match) || match.identifier || '').trim().toUpperCase();
+}
+
+/**
+ * Merge the matches of several results, dropping repeated dispositions
+ * Matches are the same disposition when they share the disposition identifier or, lacking it, the normalized title;
+ * the best-scored one is kept, completed with the fields only the others have.
+ * Scores are compared as they are, so every result must be scored on the same scale
+ * @param {Array} results - Results ({ matches, metadata })
+ * @param {Object} [options={}] - Options { maxMatches: matches kept after ranking, all if not set }
+ * @returns {Object} - { matches, metadata: { match_count, max_relevance, duplicates_removed, capped } }
+ */
+export function mergeResults(results, options = {}) {
+  const merged = [];
+  const byIdentifier = new Map();
+  const byTitle = new Map();
+  let duplicatesRemoved = 0;
 
   results.forEach(result => {
-    if (result.matches) {
-      matches.push(...result.matches);
-      if (result.metadata?.max_relevance > maxRelevance) {
-        maxRelevance = result.metadata.max_relevance;
+    (result.matches || []).forEach(match => {
+      const identifier = getIdentifier(match);
+      const title = normalizeTitle(match.title);
+      let index = identifier ? byIdentifier.get(identifier) : undefined;
+      if (index === undefined && title && byTitle.has(title)) {
+        // Same title but different identifiers are different dispositions
+        const candidate = byTitle.get(title);
+        const candidateIdentifier = getIdentifier(merged[candidate]);
+        if (!identifier || !candidateIdentifier || identifier === candidateIdentifier) index = candidate;
       }
-    }
+
+      if (index === undefined) {
+        merged.push(match);
+        if (identifier) byIdentifier.set(identifier, merged.length - 1);
+        if (title) byTitle.set(title, merged.length - 1);
+        return;
+      }
+
+      duplicatesRemoved++;
+      const existing = merged[index];
+      merged[index] = (match.relevance_score || 0) > (existing.relevance_score || 0)
+        ? { ...existing, ...match }
+        : { ...match, ...existing };
+      if (identifier) byIdentifier.set(identifier, index);
+      if (title) byTitle.set(title, index);
+    });
   });
 
   // Sort matches by relevance score in descending order
-  matches.sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0));
+  merged.sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0));
+
+  const capped = options.maxMatches > 0 ? Math.max(0, merged.length - options.maxMatches) : 0;
+  const matches = capped > 0 ? merged.slice(0, options.maxMatches) : merged;
 
   return {
     matches,
     metadata: {
       match_count: matches.length,
-      max_relevance: maxRelevance
+      max_relevance: matches.length > 0 ? (matches[0].relevance_score || 0) : 0,
+      duplicates_removed: duplicatesRemoved,
+      capped
     }
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { mergeResults } from './merger.js';
+
+const match = (identifier, relevanceScore, fields = {}) => ({
+  identifier,
+  title: `Disposición ${identifier}`,
+  relevance_score: relevanceScore,
+  ...fields
+});
+
+const ids = matches => matches.map(({ identifier }) => identifier);
+
+describe('mergeResults', () => {
+  it('keeps one match per identifier, the best scored, completed with the fields of the others', () => {
+    const { matches, metadata } = mergeResults([
+      { matches: [match('BOE-A-2025-1', 0.6, { summary: 'Resumen del primer lote' })] },
+      { matches: [match('boe-a-2025-1 ', 0.9, { title: 'Otro título' }), match('BOE-A-2025-2', 0.7)] }
+    ]);
+
+    expect(matches).toEqual([
+      { identifier: 'boe-a-2025-1 ', title: 'Otro título', relevance_score: 0.9, summary: 'Resumen del primer lote' },
+      match('BOE-A-2025-2', 0.7)
+    ]);
+    expect(metadata).toEqual({ match_count: 2, max_relevance: 0.9, duplicates_removed: 1, capped: 0 });
+  });
+
+  it('dedupes matches without identifier by their normalized title', () => {
+    const { matches, metadata } = mergeResults([
+      { matches: [{ title: 'Resolución de ayudas a la vivienda', relevance_score: 0.8 }] },
+      { matches: [{ title: 'RESOLUCIÓN de ayudas, a la vivienda.', relevance_score: 0.5, summary: 'Ayudas' }] }
+    ]);
+
+    expect(matches).toEqual([{ title: 'Resolución de ayudas a la vivienda', relevance_score: 0.8, summary: 'Ayudas' }]);
+    expect(metadata.duplicates_removed).toBe(1);
+  });
+
+  it('keeps matches with the same title but different identifiers apart', () => {
+    const { matches } = mergeResults([
+      { matches: [match('BOE-A-2025-1', 0.8, { title: 'Corrección de errores' })] },
+      { matches: [match('BOE-A-2025-2', 0.7, { title: 'Corrección de errores' })] }
+    ]);
+
+    expect(ids(matches)).toEqual(['BOE-A-2025-1', 'BOE-A-2025-2']);
+  });
+
+  it('ranks by score and caps to maxMatches', () => {
+    const { matches, metadata } = mergeResults([
+      { matches: [match('BOE-A-2025-1', 0.2), match('BOE-A-2025-2', 0.9)] },
+      { matches: [match('BOE-A-2025-3', 0.5)] }
+    ], { maxMatches: 2 });
+
+    expect(ids(matches)).toEqual(['BOE-A-2025-2', 'BOE-A-2025-3']);
+    expect(metadata).toMatchObject({ match_count: 2, max_relevance: 0.9, capped: 1 });
+  });
+
+  it('compares scores as they are given, whatever their scale', () => {
+    const { matches } = mergeResults([
+      { matches: [match('BOE-A-2025-1', 0.95)] },
+      { matches: [match('BOE-A-2025-2', 2)] }
+    ]);
+
+    expect(matches.map(({ relevance_score: score }) => score)).toEqual([2, 0.95]);
+  });
+
+  it('returns an empty list for results without matches', () => {
+    expect(mergeResults([{ matches: [] }, {}])).toEqual({
+      matches: [],
+      metadata: { match_count: 0, max_relevance: 0, duplicates_removed: 0, capped: 0 }
+    });
+  });
+});
@@ -1,48 +0,0 @@
-export function createOpenAIPayload(query, items) {
-  return {
-    model: "gpt-4o-mini",
-    temperature: 0,
-    messages: [
-      {
-        role: "system",
-        content: `You are a BOE (Boletín Oficial del Estado) analysis assistant. Analyze the provided BOE items and extract key information about announcements, resolutions, and other official communications. You must return a valid JSON object with the exact structure shown below.
-
-REQUIRED RESPONSE FORMAT:
-{
-  "matches": [{
-    "document_type": "string (RESOLUTION, ORDER, ROYAL_DECREE, LAW, ANNOUNCEMENT)",
-    "issuing_body": "string",
-    "title": "string",
-    "dates": {
-      "document_date": "YYYY-MM-DD",
-      "publication_date": "YYYY-MM-DD"
-    },
-    "code": "string",
-    "section": "string",
-    "department": "string",
-    "links": {
-      "pdf": "string",
-      "html": "string"
-    },
-    "relevance_score": "number (0-1)",
-    "summary": "string"
-  }],
-  "metadata": {
-    "match_count": "number",
-    "max_relevance": "number"
-  }
-}
-
-CRITICAL REQUIREMENTS:
-1. Response MUST be valid JSON - no markdown, no backticks, no explanations
-2. All fields are required - use empty strings or 0 for missing values`
-      },
-      {
-        role: "user",
-        content: `User Query: ${query}\n\nBOE Content: ${JSON.stringify(items)}`
-      }
-    ],
-    max_tokens: 500,
-    response_format: { type: "json_object" }
-  };
-}
@@ -0,0 +1,247 @@
+/**
+ * Durable local outbox for results messages
+ *
+ * Every results message is written to disk before it is published and removed only once
+ * Pub/Sub acknowledges it, so a transient Pub/Sub error or a restart does not lose the
+ * user's notifications. Failed messages are retried by a background flusher with
+ * exponential backoff and sent to the DLQ when their attempts run out.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import config from '../../config/config.js';
+import { publishResults, publishToDLQ } from '../../utils/pubsub.js';
+
+// Entries being published by this process, so the flusher never publishes one twice
+const inFlight = new Set();
+
+// Called once an entry of this process is published. Kept in memory only: an entry left by an
+// earlier process is still published, but its callback is gone with that process
+const publishedCallbacks = new Map();
+
+let flushTimer = null;
+let currentFlush = null;
+
+/**
+ * Get the file holding an outbox entry
+ * @param {string} id - Entry ID
+ * @returns {string} - File path
+ */
+function getEntryPath(id) {
+  return path.join(config.outbox.directory, `${id}.json`);
+}
+
+/**
+ * Write an outbox entry to disk
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<void>}
+ */
+async function writeEntry(entry) {
+  await fs.mkdir(config.outbox.directory, { recursive: true });
+
+  // Write to a temporary file first so the flusher never reads a partial entry
+  const filePath = getEntryPath(entry.id);
+  const tempPath = `${filePath}.${randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(entry));
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Get the wait before the next attempt of an entry
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.outbox;
+  return Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Publish an outbox entry, removing it once acknowledged or rescheduling it on failure
+ * Invalid payloads and entries out of attempts are sent to the DLQ and removed
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<void>}
+ */
+async function deliverEntry(entry) {
+  if (inFlight.has(entry.id)) return;
+  inFlight.add(entry.id);
+
+  try {
+    entry.attempts += 1;
+    try {
+      await publishResults(entry.payload, { deadLetter: false });
+    } catch (error) {
+      const stage = error.details?.stage || 'publish';
+
+      // An invalid payload fails the same way on every attempt
+      if (stage === 'validation' || entry.attempts >= config.outbox.maxAttempts) {
+        console.error(`Giving up on outbox message - Trace ID: ${entry.trace_id}, Attempts: ${entry.attempts}, Stage: ${stage}, Error: ${error.message}`);
+        publishedCallbacks.delete(entry.id);
+        await publishToDLQ(entry.payload, error, stage);
+        await fs.rm(getEntryPath(entry.id), { force: true });
+        return;
+      }
+
+      const delay = getRetryDelay(entry.attempts);
+      await writeEntry({ ...entry, last_error: error.message, next_attempt_at: Date.now() + delay });
+      console.warn(`Outbox publish failed, retrying later - Trace ID: ${entry.trace_id}, Attempt: ${entry.attempts}/${config.outbox.maxAttempts}, Retry In: ${delay}ms, Error: ${error.message}`);
+      return;
+    }
+
+    await fs.rm(getEntryPath(entry.id), { force: true });
+    if (entry.attempts > 1) {
+      console.log(`Outbox message published after retrying - Trace ID: ${entry.trace_id}, Attempts: ${entry.attempts}`);
+    }
+
+    const onPublished = publishedCallbacks.get(entry.id);
+    publishedCallbacks.delete(entry.id);
+    await onPublished?.();
+  } finally {
+    inFlight.delete(entry.id);
+  }
+}
+
+/**
+ * Publish results without the outbox, logging failures
+ * @param {Object} results - Analysis results object
+ * @param {string} requestId - Request ID for logging
+ * @param {Function} [onPublished] - Called once the message is published
+ */
+function publishDirectly(results, requestId, onPublished) {
+  publishResults(results)
+    .then(() => onPublished?.())
+    .catch(error => {
+      console.error(`Failed to publish results to PubSub - Request ID: ${requestId}, Trace ID: ${results.trace_id}, Error:`, error);
+    });
+}
+
+/**
+ * Store a results message in the outbox and start publishing it
+ * Resolves once the message is on disk; publishing continues in the background
+ * @param {Object} results - Analysis results object
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options={}] - Options { onPublished: called once Pub/Sub accepts the message, if this process
+ *   publishes it; never called if the message ends in the DLQ }
+ * @returns {Promise<void>}
+ */
+export async function enqueueResults(results, requestId, options = {}) {
+  const { onPublished } = options;
+  if (!config.outbox.enabled) {
+    publishDirectly(results, requestId, onPublished);
+    return;
+  }
+
+  const entry = {
+    // Timestamp first so file names sort in the order messages were produced
+    id: `${Date.now()}-${randomUUID()}`,
+    trace_id: results.trace_id,
+    created_at: new Date().toISOString(),
+    attempts: 0,
+    // Left to the immediate attempt below; the flusher only picks it up if this process dies first
+    next_attempt_at: Date.now() + getRetryDelay(1),
+    last_error: null,
+    payload: results
+  };
+
+  try {
+    await writeEntry(entry);
+  } catch (error) {
+    console.error(`Failed to write outbox message, publishing directly - Request ID: ${requestId}, Trace ID: ${results.trace_id}, Error: ${error.message}`);
+    publishDirectly(results, requestId, onPublished);
+    return;
+  }
+  if (onPublished) {
+    publishedCallbacks.set(entry.id, onPublished);
+  }
+
+  deliverEntry(entry).catch(error => {
+    console.error(`Failed to deliver outbox message - Request ID: ${requestId}, Trace ID: ${results.trace_id}, Error:`, error);
+  });
+}
+
+/**
+ * Publish every outbox entry whose next attempt is due, oldest first
+ * @returns {Promise<number>} - Entries attempted
+ */
+async function flushDueEntries() {
+  let files;
+  try {
+    files = await fs.readdir(config.outbox.directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const ids = files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort();
+  let attempted = 0;
+
+  for (const id of ids) {
+    if (inFlight.has(id)) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(getEntryPath(id), 'utf8'));
+    } catch (error) {
+      // Removed since the directory was listed
+      if (error.code === 'ENOENT') continue;
+      console.warn(`Ignoring unreadable outbox file ${getEntryPath(id)}: ${error.message}`);
+      continue;
+    }
+
+    if (entry.next_attempt_at > Date.now()) continue;
+
+    attempted++;
+    await deliverEntry(entry).catch(error => {
+      console.error(`Failed to deliver outbox message - Trace ID: ${entry.trace_id}, Error:`, error);
+    });
+  }
+
+  if (attempted > 0) {
+    console.log(`Outbox flushed - Attempted: ${attempted}, Pending: ${ids.length}`);
+  }
+  return attempted;
+}
+
+/**
+ * Publish the outbox entries that are due, joining a flush already running
+ * @returns {Promise<number>} - Entries attempted
+ */
+export function flushOutbox() {
+  if (!currentFlush) {
+    currentFlush = flushDueEntries().finally(() => {
+      currentFlush = null;
+    });
+  }
+  return currentFlush;
+}
+
+/**
+ * Drain what a previous run left in the outbox and keep flushing it periodically
+ */
+export function startOutboxFlusher() {
+  if (!config.outbox.enabled || flushTimer) return;
+
+  const flush = () => flushOutbox().catch(error => {
+    console.error('Outbox flush failed:', error);
+  });
+
+  console.log(`Starting outbox flusher - Directory: ${config.outbox.directory}, Interval: ${config.outbox.flushIntervalMs}ms`);
+
+  // Entries left by a previous run are due already, so the first flush drains them
+  flush();
+  flushTimer = setInterval(flush, config.outbox.flushIntervalMs);
+  // Pending retries must not keep the process alive on their own
+  flushTimer.unref();
+}
+
+/**
+ * Stop the periodic flush, waiting for one in progress
+ * @returns {Promise<void>}
+ */
+export async function stopOutboxFlusher() {
+  clearInterval(flushTimer);
+  flushTimer = null;
+  if (currentFlush) {
+    await currentFlush.catch(() => {});
+  }
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import config from '../../config/config.js';
+import { publishResults, publishToDLQ } from '../../utils/pubsub.js';
+import { enqueueResults, flushOutbox } from './index.js';
+
+vi.mock('../../utils/pubsub.js', () => ({ publishResults: vi.fn(), publishToDLQ: vi.fn() }));
+vi.spyOn(console, 'log').mockImplementation(() => {});
+vi.spyOn(console, 'warn').mockImplementation(() => {});
+vi.spyOn(console, 'error').mockImplementation(() => {});
+
+const results = { trace_id: 'trace-1', results: { results: [] } };
+const originalConfig = { ...config.outbox };
+
+// Entries left in the outbox directory
+async function readEntries() {
+  const files = await fs.readdir(config.outbox.directory).catch(() => []);
+  return Promise.all(files.filter(file => file.endsWith('.json'))
+    .map(async file => JSON.parse(await fs.readFile(path.join(config.outbox.directory, file), 'utf8'))));
+}
+
+describe('outbox', () => {
+  beforeEach(async () => {
+    Object.assign(config.outbox, {
+      enabled: true,
+      directory: await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-test-')),
+      maxAttempts: 3,
+      retryBaseDelayMs: 0,
+      retryMaxDelayMs: 0
+    });
+    publishResults.mockReset();
+    publishToDLQ.mockReset();
+  });
+
+  afterEach(async () => {
+    await fs.rm(config.outbox.directory, { recursive: true, force: true });
+    Object.assign(config.outbox, originalConfig);
+  });
+
+  it('removes the entry once it is published', async () => {
+    publishResults.mockResolvedValue('message-1');
+    const onPublished = vi.fn();
+
+    await enqueueResults(results, 'test', { onPublished });
+
+    await vi.waitFor(async () => expect(await readEntries()).toEqual([]));
+    expect(publishResults).toHaveBeenCalledWith(results, { deadLetter: false });
+    expect(onPublished).toHaveBeenCalledOnce();
+  });
+
+  it('keeps a failed entry and publishes it on a later flush', async () => {
+    publishResults.mockRejectedValueOnce(new Error('unavailable')).mockResolvedValue('message-1');
+    const onPublished = vi.fn();
+
+    await enqueueResults(results, 'test', { onPublished });
+    await vi.waitFor(async () => expect((await readEntries())[0]).toMatchObject({ attempts: 1, last_error: 'unavailable' }));
+    expect(onPublished).not.toHaveBeenCalled();
+
+    expect(await flushOutbox()).toBe(1);
+    expect(await readEntries()).toEqual([]);
+    expect(publishResults).toHaveBeenCalledTimes(2);
+    expect(publishToDLQ).not.toHaveBeenCalled();
+    expect(onPublished).toHaveBeenCalledOnce();
+  });
+
+  it('does not retry an entry before its next attempt is due', async () => {
+    config.outbox.retryBaseDelayMs = 60000;
+    config.outbox.retryMaxDelayMs = 60000;
+    publishResults.mockRejectedValue(new Error('unavailable'));
+
+    await enqueueResults(results, 'test');
+    await vi.waitFor(async () => expect((await readEntries())[0]).toMatchObject({ attempts: 1 }));
+
+    expect(await flushOutbox()).toBe(0);
+    expect(publishResults).toHaveBeenCalledOnce();
+  });
+
+  it('sends the entry to the DLQ once its attempts run out', async () => {
+    const error = new Error('unavailable');
+    publishResults.mockRejectedValue(error);
+    const onPublished = vi.fn();
+
+    await enqueueResults(results, 'test', { onPublished });
+    await vi.waitFor(async () => expect((await readEntries())[0]).toMatchObject({ attempts: 1 }));
+    await flushOutbox();
+    expect((await readEntries())[0]).toMatchObject({ attempts: 2 });
+    await flushOutbox();
+
+    expect(await readEntries()).toEqual([]);
+    expect(publishResults).toHaveBeenCalledTimes(3);
+    expect(publishToDLQ).toHaveBeenCalledWith(results, error, 'publish');
+    expect(onPublished).not.toHaveBeenCalled();
+  });
+
+  it('gives up at once on a payload that fails validation', async () => {
+    const error = Object.assign(new Error('invalid message'), { details: { stage: 'validation' } });
+    publishResults.mockRejectedValue(error);
+
+    await enqueueResults(results, 'test');
+
+    await vi.waitFor(() => expect(publishToDLQ).toHaveBeenCalledWith(results, error, 'validation'));
+    await vi.waitFor(async () => expect(await readEntries()).toEqual([]));
+    expect(publishResults).toHaveBeenCalledOnce();
+  });
+
+  it('publishes directly when the outbox is disabled', async () => {
+    config.outbox.enabled = false;
+    publishResults.mockResolvedValue('message-1');
+    const onPublished = vi.fn();
+
+    await enqueueResults(results, 'test', { onPublished });
+
+    await vi.waitFor(() => expect(onPublished).toHaveBeenCalledOnce());
+    expect(publishResults).toHaveBeenCalledWith(results);
+    expect(await readEntries()).toEqual([]);
+  });
+});
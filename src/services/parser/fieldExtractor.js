@@ -0,0 +1,256 @@
+/**
+ * Structured field extraction from the full text of a BOE disposition
+ */
+import { getMonthNumber } from './scraper.js';
+
+const MAX_VALUES_PER_FIELD = 10;
+const MAX_SNIPPET_LENGTH = 300;
+
+const MONTH_PATTERN = '(enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|setiembre|octubre|noviembre|diciembre)';
+const DATE_REGEX = new RegExp(`(\\d{1,2}) de ${MONTH_PATTERN} de (\\d{4})`, 'gi');
+
+// Spelled-out numbers commonly used for deadlines ("quince días hábiles")
+const NUMBER_WORDS = {
+  'un': 1, 'una': 1, 'uno': 1, 'dos': 2, 'tres': 3, 'cuatro': 4, 'cinco': 5, 'seis': 6, 'siete': 7,
+  'ocho': 8, 'nueve': 9, 'diez': 10, 'once': 11, 'doce': 12, 'quince': 15, 'veinte': 20,
+  'treinta': 30, 'cuarenta y cinco': 45, 'cuarenta': 40, 'sesenta': 60, 'noventa': 90
+};
+const NUMBER_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const DURATION_REGEX = new RegExp(`\\b${NUMBER_PATTERN}\\s+(d[ií]as?|mes(?:es)?)(?:\\s+(h[aá]biles|naturales))?`, 'i');
+
+const AMOUNT_REGEX = /(\d{1,3}(?:\.\d{3})+|\d+)(,\d{1,2})?\s*(euros|€)/gi;
+
+const LAW_REGEX = /\b(Ley Orgánica|Real Decreto-ley|Real Decreto Legislativo|Real Decreto|Decreto-ley|Decreto Legislativo|Decreto|Ley)\s+(\d+\/\d{4})/g;
+const ORDER_REGEX = /\bOrden\s+([A-Z]{2,5}\/\d+\/\d{4})/g;
+const BOE_CODE_REGEX = /\bBOE-[A-Z]-\d{4}-\d+\b/g;
+
+// Closing formula: "Madrid, 20 de marzo de 2025.–El Ministro de Hacienda, Nombre Apellido."
+const SIGNATURE_REGEX = new RegExp(`\\d{1,2} de ${MONTH_PATTERN} de \\d{4}\\.?\\s*[-–—]+\\s*((?:El|La|Los|Las)\\s[^–—]{3,250}?)\\.(?=\\s|$)`, 'gi');
+
+// Place of signature ("Madrid, 20 de marzo de 2025.–"), which says nothing about the territory affected
+const SIGNATURE_PLACE_REGEX = new RegExp(`[A-ZÁÉÍÓÚÑ][\\wÁÉÍÓÚáéíóúÑñ ]{1,40}, \\d{1,2} de ${MONTH_PATTERN} de \\d{4}\\.?\\s*[-–—]`, 'gi');
+
+// Canonical name and the spellings that identify it in the text
+const AUTONOMOUS_COMMUNITIES = {
+  'Andalucía': ['Andalucía', 'Junta de Andalucía'],
+  'Aragón': ['Aragón'],
+  'Principado de Asturias': ['Principado de Asturias'],
+  'Illes Balears': ['Illes Balears', 'Islas Baleares'],
+  'Canarias': ['Canarias'],
+  'Cantabria': ['Comunidad Autónoma de Cantabria', 'Gobierno de Cantabria'],
+  'Castilla y León': ['Castilla y León'],
+  'Castilla-La Mancha': ['Castilla-La Mancha'],
+  'Cataluña': ['Cataluña', 'Catalunya', 'Generalitat de Catalunya'],
+  'Comunitat Valenciana': ['Comunitat Valenciana', 'Comunidad Valenciana', 'Generalitat Valenciana'],
+  'Extremadura': ['Extremadura'],
+  'Galicia': ['Galicia', 'Xunta de Galicia'],
+  'Comunidad de Madrid': ['Comunidad de Madrid'],
+  'Región de Murcia': ['Región de Murcia'],
+  'Comunidad Foral de Navarra': ['Comunidad Foral de Navarra'],
+  'País Vasco': ['País Vasco', 'Euskadi'],
+  'La Rioja': ['Comunidad Autónoma de La Rioja', 'Gobierno de La Rioja'],
+  'Ceuta': ['Ciudad de Ceuta', 'Ciudad Autónoma de Ceuta'],
+  'Melilla': ['Ciudad de Melilla', 'Ciudad Autónoma de Melilla']
+};
+
+const PROVINCES = {
+  'Araba/Álava': ['Álava', 'Araba'], 'Albacete': ['Albacete'], 'Alicante/Alacant': ['Alicante', 'Alacant'],
+  'Almería': ['Almería'], 'Asturias': ['Asturias'], 'Ávila': ['Ávila'], 'Badajoz': ['Badajoz'],
+  'Illes Balears': ['Baleares', 'Balears'], 'Barcelona': ['Barcelona'], 'Burgos': ['Burgos'],
+  'Cáceres': ['Cáceres'], 'Cádiz': ['Cádiz'], 'Cantabria': ['Cantabria'], 'Castellón/Castelló': ['Castellón', 'Castelló'],
+  'Ciudad Real': ['Ciudad Real'], 'Córdoba': ['Córdoba'], 'A Coruña': ['A Coruña', 'La Coruña'], 'Cuenca': ['Cuenca'],
+  'Girona': ['Girona', 'Gerona'], 'Granada': ['Granada'], 'Guadalajara': ['Guadalajara'], 'Gipuzkoa': ['Gipuzkoa', 'Guipúzcoa'],
+  'Huelva': ['Huelva'], 'Huesca': ['Huesca'], 'Jaén': ['Jaén'], 'León': ['León'], 'Lleida': ['Lleida', 'Lérida'],
+  'Lugo': ['Lugo'], 'Madrid': ['Madrid'], 'Málaga': ['Málaga'], 'Murcia': ['Murcia'], 'Navarra': ['Navarra'],
+  'Ourense': ['Ourense', 'Orense'], 'Palencia': ['Palencia'], 'Las Palmas': ['Las Palmas'], 'Pontevedra': ['Pontevedra'],
+  'La Rioja': ['La Rioja'], 'Salamanca': ['Salamanca'], 'Santa Cruz de Tenerife': ['Santa Cruz de Tenerife'],
+  'Segovia': ['Segovia'], 'Sevilla': ['Sevilla'], 'Soria': ['Soria'], 'Tarragona': ['Tarragona'], 'Teruel': ['Teruel'],
+  'Toledo': ['Toledo'], 'Valencia/València': ['Valencia', 'València'], 'Valladolid': ['Valladolid'],
+  'Bizkaia': ['Bizkaia', 'Vizcaya'], 'Zamora': ['Zamora'], 'Zaragoza': ['Zaragoza']
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Literal string
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Trim a snippet to the maximum length at a word boundary
+ * @param {string} text - Snippet
+ * @returns {string} - Trimmed snippet
+ */
+function toSnippet(text) {
+  const trimmed = text.trim();
+  if (trimmed.length <= MAX_SNIPPET_LENGTH) return trimmed;
+  const cut = trimmed.substring(0, MAX_SNIPPET_LENGTH);
+  return `${cut.substring(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}...`;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Disposition text
+ * @returns {Array<string>} - Sentences
+ */
+function splitSentences(text) {
+  return text.split(/(?<=[.;:])\s+(?=[A-ZÁÉÍÓÚÑ0-9])/);
+}
+
+/**
+ * Convert a Spanish long-form date match to YYYY-MM-DD
+ * @param {Array} match - DATE_REGEX match
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function toIsoDate(match) {
+  const month = match[2].toLowerCase() === 'setiembre' ? 'septiembre' : match[2];
+  return `${match[3]}-${getMonthNumber(month)}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * Extract application deadlines (plazo de presentación, "hasta el ...")
+ * @param {Array<string>} sentences - Disposition sentences
+ * @returns {Array<Object>} - Deadlines { text, duration, date }
+ */
+function extractDeadlines(sentences) {
+  const deadlines = [];
+
+  for (const sentence of sentences) {
+    if (!/\bplazo\b/i.test(sentence)) continue;
+
+    const durationMatch = sentence.match(DURATION_REGEX);
+    const dateMatch = [...sentence.matchAll(DATE_REGEX)].pop();
+    if (!durationMatch && !dateMatch) continue;
+
+    const rawValue = durationMatch?.[1].toLowerCase();
+    deadlines.push({
+      text: toSnippet(sentence),
+      duration: durationMatch ? {
+        value: NUMBER_WORDS[rawValue] || parseInt(rawValue, 10),
+        unit: /^mes/i.test(durationMatch[2]) ? 'months' : 'days',
+        type: durationMatch[3] ? (/^h/i.test(durationMatch[3]) ? 'business' : 'calendar') : null
+      } : null,
+      date: dateMatch ? toIsoDate(dateMatch) : null
+    });
+
+    if (deadlines.length >= MAX_VALUES_PER_FIELD) break;
+  }
+
+  return deadlines;
+}
+
+/**
+ * Extract monetary amounts in euros
+ * @param {string} text - Disposition text
+ * @returns {Array<Object>} - Amounts { text, value }
+ */
+function extractAmounts(text) {
+  const amounts = new Map();
+
+  for (const match of text.matchAll(AMOUNT_REGEX)) {
+    const value = parseFloat(`${match[1].replace(/\./g, '')}.${(match[2] || ',0').substring(1)}`);
+    if (!amounts.has(value)) {
+      amounts.set(value, { text: match[0].trim(), value });
+    }
+    if (amounts.size >= MAX_VALUES_PER_FIELD) break;
+  }
+
+  return [...amounts.values()];
+}
+
+/**
+ * Find which of a set of named places are mentioned in the text
+ * @param {string} text - Disposition text
+ * @param {Object} places - Canonical name -> spellings
+ * @returns {Array<string>} - Canonical names mentioned
+ */
+function findPlaces(text, places) {
+  return Object.entries(places)
+    .filter(([, spellings]) => spellings.some(spelling =>
+      new RegExp(`(^|[^\\wÁÉÍÓÚáéíóúÑñ])${escapeRegex(spelling)}(?![\\wÁÉÍÓÚáéíóúÑñ])`).test(text)
+    ))
+    .map(([name]) => name);
+}
+
+/**
+ * Extract the territory the disposition applies to
+ * @param {string} text - Disposition text
+ * @returns {Object} - { autonomous_communities, provinces }
+ */
+function extractTerritory(fullText) {
+  const text = fullText.replace(SIGNATURE_PLACE_REGEX, ' ');
+  const autonomousCommunities = findPlaces(text, AUTONOMOUS_COMMUNITIES);
+
+  // Drop community names before looking for provinces so "Castilla y León" doesn't count as León
+  const communitySpellings = autonomousCommunities.flatMap(name => AUTONOMOUS_COMMUNITIES[name]);
+  const remainingText = communitySpellings.reduce(
+    (current, spelling) => current.replace(new RegExp(escapeRegex(spelling), 'g'), ' '),
+    text
+  );
+
+  return {
+    autonomous_communities: autonomousCommunities,
+    provinces: findPlaces(remainingText, PROVINCES)
+  };
+}
+
+/**
+ * Extract referenced laws and BOE codes
+ * @param {string} text - Disposition text
+ * @returns {Array<string>} - References such as "Ley 39/2015", "Orden HFP/123/2024" or "BOE-A-2015-10565"
+ */
+function extractReferencedLaws(text) {
+  const references = new Set();
+
+  for (const match of text.matchAll(LAW_REGEX)) references.add(`${match[1]} ${match[2]}`);
+  for (const match of text.matchAll(ORDER_REGEX)) references.add(`Orden ${match[1]}`);
+  for (const match of text.matchAll(BOE_CODE_REGEX)) references.add(match[0]);
+
+  return [...references].slice(0, MAX_VALUES_PER_FIELD * 2);
+}
+
+/**
+ * Extract the signatory from the closing formula of the disposition
+ * @param {string} text - Disposition text
+ * @returns {Object|null} - { text, role, name } or null if not found
+ */
+function extractSignatory(text) {
+  const match = [...text.matchAll(SIGNATURE_REGEX)].pop();
+  if (!match) return null;
+
+  const signature = match[2].trim();
+  const separator = signature.lastIndexOf(',');
+
+  return {
+    text: signature,
+    role: separator > 0 ? signature.substring(0, separator).trim() : signature,
+    name: separator > 0 ? signature.substring(separator + 1).trim() : ''
+  };
+}
+
+/**
+ * Extract structured fields from the full text of a disposition
+ * @param {string} text - Disposition full text
+ * @returns {Object} - { deadlines, amounts, territory, referenced_laws, signatory }
+ */
+export function extractDispositionFields(text) {
+  if (typeof text !== 'string' || !text) {
+    return {
+      deadlines: [],
+      amounts: [],
+      territory: { autonomous_communities: [], provinces: [] },
+      referenced_laws: [],
+      signatory: null
+    };
+  }
+
+  return {
+    deadlines: extractDeadlines(splitSentences(text)),
+    amounts: extractAmounts(text),
+    territory: extractTerritory(text),
+    referenced_laws: extractReferencedLaws(text),
+    signatory: extractSignatory(text)
+  };
+}
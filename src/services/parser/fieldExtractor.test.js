@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { extractDispositionFields } from './fieldExtractor.js';
+
+describe('extractDispositionFields', () => {
+  it('returns empty fields without text', () => {
+    expect(extractDispositionFields('')).toEqual({
+      deadlines: [],
+      amounts: [],
+      territory: { autonomous_communities: [], provinces: [] },
+      referenced_laws: [],
+      signatory: null
+    });
+    expect(extractDispositionFields(null).deadlines).toEqual([]);
+  });
+
+  describe('deadlines', () => {
+    it('reads spelled-out business-day durations', () => {
+      const { deadlines } = extractDispositionFields('El plazo de presentación de solicitudes será de quince días hábiles.');
+      expect(deadlines).toHaveLength(1);
+      expect(deadlines[0].duration).toEqual({ value: 15, unit: 'days', type: 'business' });
+      expect(deadlines[0].date).toBeNull();
+    });
+
+    it('reads numeric month durations without a day type', () => {
+      const { deadlines } = extractDispositionFields('Se abre un plazo de 2 meses para alegaciones.');
+      expect(deadlines[0].duration).toEqual({ value: 2, unit: 'months', type: null });
+    });
+
+    it('converts long-form dates to ISO, taking the last one of the sentence', () => {
+      const { deadlines } = extractDispositionFields(
+        'Desde el 1 de marzo de 2025, el plazo estará abierto hasta el 5 de setiembre de 2025.'
+      );
+      expect(deadlines[0].date).toBe('2025-09-05');
+    });
+
+    it('ignores dates in sentences that are not about a plazo', () => {
+      const { deadlines } = extractDispositionFields('La convocatoria se aprobó el 3 de enero de 2025.');
+      expect(deadlines).toEqual([]);
+    });
+  });
+
+  describe('amounts', () => {
+    it('parses thousands separators and decimal commas', () => {
+      const { amounts } = extractDispositionFields('Cuantía de 1.250.000,50 euros y un máximo de 300 €.');
+      expect(amounts).toEqual([
+        { text: '1.250.000,50 euros', value: 1250000.5 },
+        { text: '300 €', value: 300 }
+      ]);
+    });
+
+    it('reports each value once', () => {
+      const { amounts } = extractDispositionFields('Se conceden 5.000 euros. El total asciende a 5.000 €.');
+      expect(amounts).toHaveLength(1);
+      expect(amounts[0].value).toBe(5000);
+    });
+  });
+
+  it('does not count the community name as a province, nor the place of signature', () => {
+    const { territory, signatory } = extractDispositionFields(
+      'Ayudas para municipios de Castilla y León. Madrid, 20 de marzo de 2025.–El Ministro de Hacienda, Juan Pérez.'
+    );
+    expect(territory).toEqual({ autonomous_communities: ['Castilla y León'], provinces: [] });
+    expect(signatory).toEqual({ text: 'El Ministro de Hacienda, Juan Pérez', role: 'El Ministro de Hacienda', name: 'Juan Pérez' });
+  });
+});
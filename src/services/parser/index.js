@@ -1,72 +1,269 @@
 /**
  * BOE Parser Service - Orchestrates fetching and parsing
  */
-import { fetchBOESummary, parseBOEXML } from './scraper.js';
-import { createServiceError } from '../../utils/errors/AppError.js';
+import { BOE_ISSUE_STATUS } from './scraper.js';
+import { getBulletinSource, getBulletinSources, SUPPORTED_BULLETINS } from './sources/index.js';
+import config from '../../config/config.js';
+import { getDateRange, getTodayInSpain } from '../../utils/dateFormatter.js';
+import { createCache } from '../cache/index.js';
+import { createValidationError } from '../../utils/errors/AppError.js';
+
+// Parsed issues by bulletin and date, created on first use
+let sumarioCache;
 
 /**
- * Fetch and parse BOE content for a specific date or range
- * @param {Object} options - Options { date, prompts, requestId }
- * @returns {Promise<Object>} - Parsed BOE content and prompts
+ * Get the parsed-issue cache
+ * @returns {Object|null} - Cache backend or null when caching is disabled
  */
-export async function parseBOE(options = {}) {
-  const { date, prompts, requestId } = options;
+function getSumarioCache() {
+  if (sumarioCache === undefined) {
+    sumarioCache = createCache('sumarios');
+  }
+  return sumarioCache;
+}
 
-  // Determine date: use provided date or default to today
-  const targetDate = date || new Date().toISOString().split('T')[0];
-  const formattedDate = targetDate.replace(/-/g, ''); // YYYYMMDD format
+/**
+ * Get how long a parsed issue may be cached
+ * Published issues never change, but today's may not be out yet or be completed later
+ * @param {string} targetDate - Issue date in YYYY-MM-DD format
+ * @returns {number|undefined} - TTL in seconds, undefined to cache without expiry
+ */
+function getIssueTtl(targetDate) {
+  return targetDate >= getTodayInSpain() ? config.cache.todayTtlSeconds : undefined;
+}
 
-  console.log(`Starting BOE parsing - Request ID: ${requestId}, Date: ${targetDate}`);
+/**
+ * Resolve the source for a requested bulletin
+ * @param {string} [bulletin] - Bulletin identifier, defaults to BOE
+ * @returns {Object} - Bulletin source
+ */
+function resolveSource(bulletin) {
+  const source = getBulletinSource(bulletin);
+  if (!source) {
+    throw createValidationError(`Unsupported bulletin: ${bulletin}`, { supported: SUPPORTED_BULLETINS });
+  }
+  return source;
+}
 
-  try {
-    // 1. Fetch BOE summary XML
-    let xmlData;
+/**
+ * Fetch and parse a single bulletin issue, classifying the outcome instead of throwing
+ * @param {string} targetDate - Date in YYYY-MM-DD format
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} source - Bulletin source (see sources/index.js)
+ * @returns {Promise<Object>} - Bulletin content with status (see BOE_ISSUE_STATUS) and error message if any
+ */
+async function fetchIssue(targetDate, requestId, source) {
+  const cache = getSumarioCache();
+  const cacheKey = `${source.id}:${targetDate}`;
+
+  if (cache) {
     try {
-      xmlData = await fetchBOESummary(formattedDate, requestId);
-    } catch (fetchError) {
-      console.warn(`Error fetching BOE data - Request ID: ${requestId}, Using empty placeholder instead`, fetchError);
-      // Return a minimal structure to avoid breaking the flow
-      return {
-        boeContent: {
-          items: [],
-          boe_info: {
-            publication_date: targetDate,
-            source_url: `https://www.boe.es/datosabiertos/api/boe/sumario/${formattedDate}`
-          },
-          query_date: targetDate
-        },
-        prompts: prompts || []
-      };
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        console.log(`Using cached ${source.id} issue - Request ID: ${requestId}, Date: ${targetDate}, Items: ${cached.items.length}`);
+        return { ...cached, status: BOE_ISSUE_STATUS.SUCCESS, from_cache: true };
+      }
+    } catch (error) {
+      console.warn(`Failed to read ${source.id} issue from cache - Request ID: ${requestId}, Date: ${targetDate}, Error: ${error.message}`);
     }
+  }
 
-    // 2. Parse XML data - with simplified approach that doesn't validate structure
-    const boeContent = parseBOEXML(xmlData, requestId);
+  try {
+    // 1. Fetch the issue summary
+    const summaryData = await source.fetchSummary(targetDate, requestId);
 
-    console.log(`Finished BOE parsing - Request ID: ${requestId}, Items Found: ${boeContent.items.length}`);
+    // 2. Parse it into one item per disposition
+    const boeContent = source.parseSummary(summaryData, requestId, targetDate);
 
-    // Return parsed content and the original prompts
-    return {
-      boeContent,
-      prompts: prompts || [] // Ensure prompts is always an array
-    };
+    // Only successfully parsed issues are cached; failures are retried on the next request
+    if (cache) {
+      cache.set(cacheKey, boeContent, getIssueTtl(targetDate)).catch(error => {
+        console.warn(`Failed to cache ${source.id} issue - Request ID: ${requestId}, Date: ${targetDate}, Error: ${error.message}`);
+      });
+    }
 
+    return { ...boeContent, status: BOE_ISSUE_STATUS.SUCCESS, from_cache: false };
   } catch (error) {
-    console.error(`Error in BOE parsing process - Request ID: ${requestId}, Date: ${targetDate}, Error:`, error);
-    
-    // Instead of throwing errors, return a minimal valid structure
+    const status = error.details?.outcome || BOE_ISSUE_STATUS.UPSTREAM_UNAVAILABLE;
+
+    if (status === BOE_ISSUE_STATUS.NOT_PUBLISHED) {
+      console.log(`No ${source.id} issue published - Request ID: ${requestId}, Date: ${targetDate}`);
+    } else {
+      console.error(`Error in ${source.id} parsing process - Request ID: ${requestId}, Date: ${targetDate}, Status: ${status}, Error:`, error);
+    }
+
     return {
-      boeContent: {
-        items: [{
-          content: `Failed to parse BOE data for date ${targetDate}. Error: ${error.message}`,
-          source_url: `https://www.boe.es/datosabiertos/api/boe/sumario/${formattedDate}`
-        }],
-        boe_info: {
-          publication_date: targetDate,
-          source_url: `https://www.boe.es/datosabiertos/api/boe/sumario/${formattedDate}`
-        },
-        query_date: targetDate
+      items: [],
+      boe_info: {
+        bulletin_type: source.id,
+        publication_date: targetDate,
+        source_url: source.getSummaryUrl(targetDate)
       },
-      prompts: prompts || []
+      query_date: targetDate,
+      status,
+      from_cache: false,
+      error: error.message
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Combine the statuses of the issues in a date range into one
+ * @param {Array<string>} statuses - Status of each issue
+ * @returns {string} - Overall status
+ */
+function getRangeStatus(statuses) {
+  const failures = statuses.filter(status => status !== BOE_ISSUE_STATUS.SUCCESS && status !== BOE_ISSUE_STATUS.NOT_PUBLISHED);
+
+  if (statuses.includes(BOE_ISSUE_STATUS.SUCCESS)) {
+    return failures.length > 0 ? BOE_ISSUE_STATUS.PARTIAL : BOE_ISSUE_STATUS.SUCCESS;
+  }
+  return failures[0] || BOE_ISSUE_STATUS.NOT_PUBLISHED;
+}
+
+/**
+ * Fetch and parse every issue of a bulletin in a date range, merging their items
+ * @param {Object} options - Options { dateFrom, dateTo, prompts, requestId, source }
+ * @returns {Promise<Object>} - Merged bulletin content and prompts
+ */
+async function parseBOERange(options) {
+  const { dateFrom, dateTo, prompts, requestId, source } = options;
+  const dates = getDateRange(dateFrom, dateTo);
+
+  console.log(`Starting ${source.id} range parsing - Request ID: ${requestId}, From: ${dateFrom}, To: ${dateTo}, Days: ${dates.length}`);
+
+  const items = [];
+  const issues = [];
+
+  // Fetch one day at a time to stay polite with the publisher
+  for (const day of dates) {
+    const dayContent = await fetchIssue(day, requestId, source);
+    const publicationDate = dayContent.boe_info.publication_date || day;
+
+    items.push(...dayContent.items.map(item => ({ ...item, publication_date: publicationDate })));
+    issues.push({
+      ...dayContent.boe_info,
+      query_date: day,
+      items_count: dayContent.items.length,
+      status: dayContent.status,
+      from_cache: dayContent.from_cache,
+      ...(dayContent.error && { error: dayContent.error })
+    });
+  }
+
+  const publishedIssues = issues.filter(issue => issue.status === BOE_ISSUE_STATUS.SUCCESS);
+  const status = getRangeStatus(issues.map(issue => issue.status));
+
+  console.log(`Finished ${source.id} range parsing - Request ID: ${requestId}, Status: ${status}, Issues Found: ${publishedIssues.length}, Items Found: ${items.length}`);
+
+  return {
+    boeContent: {
+      items,
+      boe_info: {
+        bulletin_type: source.id,
+        publication_date: publishedIssues[publishedIssues.length - 1]?.publication_date || dateTo,
+        date_from: dateFrom,
+        date_to: dateTo,
+        issues,
+        source_url: source.getSummaryUrl(dateFrom)
+      },
+      query_date: dateFrom,
+      status,
+      from_cache: issues.every(issue => issue.from_cache)
+    },
+    prompts: prompts || []
+  };
+}
+
+/**
+ * Fetch and parse bulletin content for a specific date or range
+ * @param {Object} options - Options { date, dateFrom, dateTo, prompts, requestId, bulletin }
+ * @returns {Promise<Object>} - Parsed bulletin content (with status) and prompts
+ */
+export async function parseBOE(options = {}) {
+  const { date, dateFrom, dateTo, prompts, requestId, bulletin } = options;
+  const source = resolveSource(bulletin);
+
+  if (dateFrom && dateTo) {
+    return parseBOERange({ dateFrom, dateTo, prompts, requestId, source });
+  }
+
+  // Determine date: use provided date or default to today's issue
+  const targetDate = date || getTodayInSpain();
+
+  console.log(`Starting ${source.id} parsing - Request ID: ${requestId}, Date: ${targetDate}`);
+
+  const boeContent = await fetchIssue(targetDate, requestId, source);
+
+  console.log(`Finished ${source.id} parsing - Request ID: ${requestId}, Status: ${boeContent.status}, Items Found: ${boeContent.items.length}`);
+
+  // Return parsed content and the original prompts
+  return {
+    boeContent,
+    prompts: prompts || [] // Ensure prompts is always an array
+  };
+}
+
+/**
+ * Find the disposition a match refers to, from its fields or its links
+ * The identifier formats of the match's bulletin are tried first, then those of every other bulletin
+ * @param {Object} match - Match returned by the AI analysis
+ * @returns {{identifier: string, source: Object}|null} - Identifier and bulletin source, or null if none found
+ */
+function findMatchDocument(match) {
+  const ownSource = match.bulletin_type ? getBulletinSource(match.bulletin_type) : null;
+  const sources = [ownSource, ...getBulletinSources().filter(source => source !== ownSource)].filter(Boolean);
+  const candidates = [match.identifier, match.links?.html, match.links?.pdf, match.links?.xml];
+
+  for (const source of sources) {
+    for (const candidate of candidates) {
+      const identifier = typeof candidate === 'string' && candidate.match(source.identifierPattern)?.[0];
+      if (identifier) return { identifier, source };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the identifier of the disposition a match refers to, from its fields or its links
+ * @param {Object} match - Match returned by the AI analysis
+ * @returns {string} - Identifier in its bulletin's format (e.g. BOE-A-YYYY-NNNN) or '' if none found
+ */
+export function getMatchIdentifier(match) {
+  return findMatchDocument(match)?.identifier || '';
+}
+
+/**
+ * Fetch the full text of the dispositions behind a set of matches, from each one's bulletin
+ * Each disposition is fetched once, however many matches point to it
+ * @param {Array} matches - Matches returned by the AI analysis
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Map<string, string|null>>} - Full text by disposition identifier
+ */
+export async function fetchDispositionTexts(matches, requestId) {
+  const documents = new Map();
+  matches.forEach(match => {
+    const document = findMatchDocument(match);
+    if (document && !documents.has(document.identifier)) {
+      documents.set(document.identifier, { ...document, htmlUrl: match.links?.html });
+    }
+  });
+
+  const entries = [...documents.entries()];
+  const texts = new Map();
+  const concurrency = Math.max(1, config.scraper.fullTextConcurrency);
+
+  console.log(`Fetching disposition texts - Request ID: ${requestId}, Documents: ${entries.length}`);
+
+  for (let i = 0; i < entries.length; i += concurrency) {
+    const batch = entries.slice(i, i + concurrency);
+    const batchTexts = await Promise.all(batch.map(([identifier, { source, htmlUrl }]) =>
+      source.fetchDocumentText ? source.fetchDocumentText(identifier, htmlUrl, requestId) : null
+    ));
+    batch.forEach(([identifier], index) => texts.set(identifier, batchTexts[index]));
+  }
+
+  return texts;
+}
+
+export { BOE_ISSUE_STATUS, SUPPORTED_BULLETINS };
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { getMatchIdentifier } from './index.js';
+
+describe('getMatchIdentifier', () => {
+  it('reads BOE identifiers from the match or its links', () => {
+    expect(getMatchIdentifier({ identifier: 'BOE-A-2025-1234' })).toBe('BOE-A-2025-1234');
+    expect(getMatchIdentifier({ links: { html: 'https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-1234' } })).toBe('BOE-A-2025-1234');
+  });
+
+  it('reads BORME identifiers', () => {
+    expect(getMatchIdentifier({
+      bulletin_type: 'BORME',
+      links: { pdf: 'https://www.boe.es/borme/dias/2025/03/20/pdfs/BORME-A-2025-55-28.pdf' }
+    })).toBe('BORME-A-2025-55-28');
+    expect(getMatchIdentifier({ identifier: 'BORME-C-2025-1234' })).toBe('BORME-C-2025-1234');
+  });
+
+  it('reads DOGA announcement identifiers', () => {
+    expect(getMatchIdentifier({
+      bulletin_type: 'DOGA',
+      links: { html: 'https://www.xunta.gal/dog/Publicados/2025/20250116/AnuncioG0003-070125-0004_es.html' }
+    })).toBe('AnuncioG0003-070125-0004');
+  });
+
+  it('returns an empty string when no bulletin format matches', () => {
+    expect(getMatchIdentifier({ title: 'Sin identificador', links: { html: 'https://example.com/page' } })).toBe('');
+  });
+});
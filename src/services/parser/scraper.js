@@ -3,7 +3,7 @@
  */
 import axios from 'axios';
 import { JSDOM } from 'jsdom';
-import { XMLParser } from 'fast-xml-parser';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
 import config from '../../config/config.js';
 import { processTextContent } from './textProcessor.js';
 import { createExternalApiError, createServiceError } from '../../utils/errors/AppError.js';
@@ -29,7 +29,7 @@ const MONTH_NAMES = {
  * @param {string} monthName - Spanish month name
  * @returns {string} - Month number (01-12)
  */
-function getMonthNumber(monthName) {
+export function getMonthNumber(monthName) {
   return MONTH_NAMES[monthName.toLowerCase()] || '01';
 }
 
@@ -181,19 +181,31 @@ export async function fetchBOEContent(date, requestId) {
 
 // Constants
 const BOE_BASE_URL = 'https://www.boe.es';
-const SUMMARY_ENDPOINT = '/datosabiertos/api/boe/sumario/';
+const DOCUMENT_XML_ENDPOINT = '/diario_boe/xml.php?id=';
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // ms
 
 /**
- * Fetch BOE summary XML with retries
- * @param {string} date - Date in YYYYMMDD format
+ * Outcome of fetching and parsing a BOE issue, reported as metadata.status
+ */
+export const BOE_ISSUE_STATUS = {
+  SUCCESS: 'success',
+  NOT_PUBLISHED: 'no_issue_published', // BOE has no issue for that date (Sundays, holidays)
+  UPSTREAM_UNAVAILABLE: 'upstream_unavailable', // boe.es unreachable, timing out or erroring
+  MALFORMED_XML: 'malformed_xml', // Response received but not a usable sumario
+  PARTIAL: 'partial' // Date ranges only: some issues could not be fetched or parsed
+};
+
+/**
+ * Fetch a bulletin summary document with retries
+ * @param {string} url - Summary URL
  * @param {string} requestId - Request ID for logging
- * @returns {Promise<string>} - XML content
+ * @param {Object} [options={}] - Options { service, accept }
+ * @returns {Promise<string>} - Document content
  */
-async function fetchBOESummary(date, requestId) {
-  const url = `${BOE_BASE_URL}${SUMMARY_ENDPOINT}${date}`;
-  console.log(`Fetching BOE summary - Request ID: ${requestId}, URL: ${url}`);
+async function fetchSummaryDocument(url, requestId, options = {}) {
+  const { service = 'BOE', accept = 'application/xml, text/xml' } = options;
+  console.log(`Fetching ${service} summary - Request ID: ${requestId}, URL: ${url}`);
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
@@ -201,17 +213,17 @@ async function fetchBOESummary(date, requestId) {
         timeout: config.scraper.timeout || 15000,
         headers: {
           'User-Agent': config.scraper.userAgent || 'BOE Parser Bot',
-          'Accept': 'application/xml, text/xml'  // Explicitly request XML
+          'Accept': accept
         },
         responseType: 'text'  // Force response as text
       });
 
       if (response.status !== 200) {
-        throw createExternalApiError(`BOE Summary fetch failed: Unexpected status code ${response.status}`, {
-          url, attempt, status: response.status, service: 'BOE'
+        throw createExternalApiError(`${service} Summary fetch failed: Unexpected status code ${response.status}`, {
+          url, attempt, status: response.status, service
         });
       }
-      console.log(`Successfully fetched BOE summary - Request ID: ${requestId}, Status: ${response.status}, Attempt: ${attempt}`);
+      console.log(`Successfully fetched ${service} summary - Request ID: ${requestId}, Status: ${response.status}, Attempt: ${attempt}`);
       
       // Log data type for debugging
       const dataType = typeof response.data;
@@ -220,17 +232,25 @@ async function fetchBOESummary(date, requestId) {
       const dataLength = typeof response.data === 'string' ? response.data.length : 0;
       const estimatedTokens = Math.round(dataLength / 4); // Rough estimate: ~4 chars per token
       
-      console.log(`BOE response data type - Request ID: ${requestId}, Type: ${dataType}, Is String: ${isString}, Content-Type: ${contentType}`);
-      console.log(`BOE response content stats - Request ID: ${requestId}, Chars: ${dataLength}, Est. Tokens: ${estimatedTokens}`);
+      console.log(`${service} response data type - Request ID: ${requestId}, Type: ${dataType}, Is String: ${isString}, Content-Type: ${contentType}`);
+      console.log(`${service} response content stats - Request ID: ${requestId}, Chars: ${dataLength}, Est. Tokens: ${estimatedTokens}`);
       
       // Ensure we're returning a string
       return typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
     } catch (error) {
-      console.warn(`Attempt ${attempt} failed to fetch BOE summary - Request ID: ${requestId}, Error:`, error.message);
+      // A 404 means no issue was published that day - retrying won't change that
+      if (error.response?.status === 404) {
+        console.log(`No ${service} issue published - Request ID: ${requestId}, URL: ${url}`);
+        throw createExternalApiError(`No ${service} issue published at ${url}`, {
+          url, attempts: attempt, status: 404, service, outcome: BOE_ISSUE_STATUS.NOT_PUBLISHED
+        });
+      }
+
+      console.warn(`Attempt ${attempt} failed to fetch ${service} summary - Request ID: ${requestId}, Error:`, error.message);
       if (attempt === MAX_RETRIES) {
-        console.error(`Failed to fetch BOE summary after ${MAX_RETRIES} attempts - Request ID: ${requestId}, URL: ${url}, Error:`, error);
-        throw createExternalApiError(`Failed to fetch BOE summary from ${url} after ${MAX_RETRIES} attempts`, {
-          url, attempts: MAX_RETRIES, cause: error, service: 'BOE'
+        console.error(`Failed to fetch ${service} summary after ${MAX_RETRIES} attempts - Request ID: ${requestId}, URL: ${url}, Error:`, error);
+        throw createExternalApiError(`Failed to fetch ${service} summary from ${url} after ${MAX_RETRIES} attempts`, {
+          url, attempts: MAX_RETRIES, cause: error, service, outcome: BOE_ISSUE_STATUS.UPSTREAM_UNAVAILABLE
         });
       }
       await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * attempt)); // Exponential backoff
@@ -239,12 +259,195 @@ async function fetchBOESummary(date, requestId) {
 }
 
 /**
- * Parse BOE XML summary
+ * Get the datosabiertos sumario URL for a bulletin published by boe.es
+ * @param {string} bulletin - 'boe' or 'borme'
+ * @param {string} date - Date in YYYYMMDD format
+ * @returns {string} - Sumario URL
+ */
+function getSumarioUrl(bulletin, date) {
+  return `${BOE_BASE_URL}/datosabiertos/api/${bulletin}/sumario/${date}`;
+}
+
+/**
+ * Fetch BOE summary XML with retries
+ * @param {string} date - Date in YYYYMMDD format
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<string>} - XML content
+ */
+async function fetchBOESummary(date, requestId) {
+  return fetchSummaryDocument(getSumarioUrl('boe', date), requestId, { service: 'BOE' });
+}
+
+// Sumario tags that may repeat and must always be parsed as arrays
+const SUMARIO_ARRAY_TAGS = new Set(['diario', 'seccion', 'departamento', 'epigrafe', 'item']);
+
+// Sumario tags whose position in the document is recorded, as parsing groups siblings by tag name
+const POSITIONED_TAGS = new Set(['departamento', 'epigrafe', 'item']);
+const POSITION_ATTRIBUTE = '_position';
+
+/**
+ * Create a sumario parser
+ * One per document, as positions are counted from the start of each parse
+ * @returns {XMLParser} - Parser recording the document position of departments, epígrafes and items
+ */
+function createSumarioParser() {
+  let position = 0;
+  return new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (tagName) => SUMARIO_ARRAY_TAGS.has(tagName),
+    updateTag: (tagName, jPath, attributes) => {
+      if (POSITIONED_TAGS.has(tagName)) attributes[POSITION_ATTRIBUTE] = position++;
+      return tagName;
+    }
+  });
+}
+
+/**
+ * Get the text value of a parsed XML node (plain value or node with attributes)
+ * @param {*} node - Parsed XML node
+ * @returns {string} - Text content
+ */
+function getNodeText(node) {
+  if (node === null || node === undefined) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
+}
+
+/**
+ * Normalize a sumario <item> into a BOE disposition
+ * @param {Object} item - Parsed <item> node
+ * @param {Object} context - Bulletin, section, department and epigraph the item belongs to
+ * @returns {Object} - Normalized BOE item
+ */
+function normalizeSumarioItem(item, context) {
+  return {
+    identifier: getNodeText(item.identificador),
+    title: processTextContent(getNodeText(item.titulo)),
+    section: context.section,
+    department: context.department,
+    epigraph: context.epigraph,
+    bulletin_type: context.bulletinType,
+    links: {
+      pdf: getNodeText(item.url_pdf),
+      html: getNodeText(item.url_html),
+      xml: getNodeText(item.url_xml)
+    }
+  };
+}
+
+/**
+ * Get the children of a parsed node with any of the given tags, in document order
+ * @param {Object} node - Parsed node
+ * @param {Array<string>} tags - Child tags, all of them positioned
+ * @returns {Array<{tag: string, child: Object}>} - Children with their tag
+ */
+function getOrderedChildren(node, tags) {
+  return tags
+    .flatMap(tag => (node[tag] || []).map(child => ({ tag, child })))
+    .sort((a, b) => a.child[POSITION_ATTRIBUTE] - b.child[POSITION_ATTRIBUTE]);
+}
+
+/**
+ * Walk diarios -> secciones -> departamentos -> epígrafes -> items, in document order
+ * @param {Object} sumario - Parsed <sumario> node
+ * @param {Function} callback - Called with (item, context) for every <item>
+ */
+function forEachSumarioItem(sumario, callback) {
+  const bulletinType = getNodeText(sumario.metadatos?.publicacion) || 'BOE';
+
+  (sumario.diario || []).forEach(diario => {
+    (diario.seccion || []).forEach(seccion => {
+      const sectionContext = { bulletinType, section: seccion.nombre || '', department: '', epigraph: '' };
+
+      // BORME lists items directly under the section (one per province)
+      getOrderedChildren(seccion, ['item', 'departamento']).forEach(({ tag, child }) => {
+        if (tag === 'item') {
+          callback(child, sectionContext);
+          return;
+        }
+
+        const context = { ...sectionContext, department: child.nombre || '' };
+
+        // Some departments list items directly, without an epígrafe, before or between them
+        getOrderedChildren(child, ['item', 'epigrafe']).forEach(entry => {
+          if (entry.tag === 'item') {
+            callback(entry.child, context);
+          } else {
+            (entry.child.item || []).forEach(item => callback(item, { ...context, epigraph: entry.child.nombre || '' }));
+          }
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Extract normalized items from the sumario, one per disposition
+ * @param {Object} sumario - Parsed <sumario> node
+ * @returns {Array} - Normalized BOE items
+ */
+function extractSumarioItems(sumario) {
+  const items = [];
+  forEachSumarioItem(sumario, (item, context) => {
+    items.push(normalizeSumarioItem(item, context));
+  });
+  return items;
+}
+
+/**
+ * Format a BOE YYYYMMDD date as YYYY-MM-DD
+ * @param {string} value - Date in YYYYMMDD format
+ * @returns {string} - Date in YYYY-MM-DD format, or '' if not parseable
+ */
+function formatSumarioDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+}
+
+/**
+ * Extract issue metadata from the sumario
+ * @param {Object} sumario - Parsed <sumario> node
+ * @param {string} formattedDate - Requested date in YYYYMMDD format
+ * @param {string} bulletin - 'boe' or 'borme'
+ * @returns {Object} - BOE issue information
+ */
+function extractSumarioInfo(sumario, formattedDate, bulletin) {
+  const diario = sumario.diario?.[0] || {};
+  const sumarioDiario = diario.sumario_diario || {};
+
+  // The sumario has no page count of its own; derive it from the dispositions' page ranges
+  let firstPage = Infinity;
+  let lastPage = 0;
+  forEachSumarioItem(sumario, item => {
+    const start = parseInt(item.url_pdf?.pagina_inicial, 10);
+    const end = parseInt(item.url_pdf?.pagina_final, 10);
+    if (start) firstPage = Math.min(firstPage, start);
+    if (end) lastPage = Math.max(lastPage, end);
+  });
+
+  return {
+    bulletin_type: getNodeText(sumario.metadatos?.publicacion) || bulletin.toUpperCase(),
+    issue_number: diario.numero || '',
+    publication_date: formatSumarioDate(getNodeText(sumario.metadatos?.fecha_publicacion)),
+    sumario_id: getNodeText(sumarioDiario.identificador),
+    sumario_pdf_url: getNodeText(sumarioDiario.url_pdf),
+    total_pages: lastPage >= firstPage ? lastPage - firstPage + 1 : 0,
+    source_url: getSumarioUrl(bulletin, formattedDate)
+  };
+}
+
+/**
+ * Parse BOE XML summary (also used for BORME, which shares the sumario format)
  * @param {string} xmlData - XML content
  * @param {string} requestId - Request ID for logging
+ * @param {string} queryDate - Requested date in YYYY-MM-DD format
+ * @param {string} [bulletin='boe'] - 'boe' or 'borme'
  * @returns {Object} - Parsed BOE data
  */
-function parseBOEXML(xmlData, requestId) {
+function parseBOEXML(xmlData, requestId, queryDate, bulletin = 'boe') {
   try {
     // Ensure xmlData is a string
     if (xmlData === null || xmlData === undefined) {
@@ -254,33 +457,43 @@ function parseBOEXML(xmlData, requestId) {
     // Convert to string if it's not already a string
     const xmlString = typeof xmlData === 'string' ? xmlData : JSON.stringify(xmlData);
     
-    // Calculate and log token estimates
-    const inputChars = xmlString.length;
-    const inputTokens = Math.round(inputChars / 4); // Rough estimate: ~4 chars per token
-    
-    // Log the content type and length
-    console.log(`Processing BOE XML content - Request ID: ${requestId}, Content length: ${inputChars}, Est. Input Tokens: ${inputTokens}`);
-    
-    // Simply pass the raw content as is - let the AI handle the parsing
-    // We're not doing any validation or complex parsing to avoid losing information
+    console.log(`Processing BOE XML content - Request ID: ${requestId}, Content length: ${xmlString.length}`);
+
+    const validation = XMLValidator.validate(xmlString);
+    if (validation !== true) {
+      throw createServiceError(`Malformed BOE XML: ${validation.err?.msg}`, {
+        line: validation.err?.line,
+        outcome: BOE_ISSUE_STATUS.MALFORMED_XML
+      });
+    }
+
+    const parsed = createSumarioParser().parse(xmlString);
+    const sumario = parsed?.response?.data?.sumario;
+    if (!sumario) {
+      const status = getNodeText(parsed?.response?.status?.code);
+      throw createServiceError('BOE XML does not contain a sumario', {
+        status,
+        statusText: getNodeText(parsed?.response?.status?.text),
+        outcome: status === '404' ? BOE_ISSUE_STATUS.NOT_PUBLISHED : BOE_ISSUE_STATUS.MALFORMED_XML
+      });
+    }
+
+    const items = extractSumarioItems(sumario);
+    const boeInfo = extractSumarioInfo(sumario, (queryDate || '').replace(/-/g, ''), bulletin);
+
+    console.log(`Parsed BOE sumario - Request ID: ${requestId}, Issue: ${boeInfo.issue_number}, Publication Date: ${boeInfo.publication_date}, Items: ${items.length}`);
+
     return {
-      items: [{
-        // Pass the full raw XML content to the AI
-        content: xmlString,
-        source_url: `${BOE_BASE_URL}${SUMMARY_ENDPOINT}`,
-      }],
-      boe_info: {
-        publication_date: new Date().toISOString().split('T')[0],
-        source_url: `${BOE_BASE_URL}${SUMMARY_ENDPOINT}`
-      },
-      query_date: new Date().toISOString().split('T')[0]
+      items,
+      boe_info: boeInfo,
+      query_date: queryDate || boeInfo.publication_date
     };
   } catch (error) {
     console.error(`Failed to process BOE XML - Request ID: ${requestId}, Error:`, error);
     if (error instanceof Error && error.code && error.isOperational) {
         throw error; // Re-throw AppError directly
     }
-    throw createServiceError('Failed to process BOE XML', { cause: error });
+    throw createServiceError('Failed to process BOE XML', { cause: error, outcome: BOE_ISSUE_STATUS.MALFORMED_XML });
   }
 }
 
@@ -326,4 +539,41 @@ async function scrapeBOEText(htmlUrl, requestId) {
   }
 }
 
-export { fetchBOESummary, parseBOEXML, scrapeBOEText };
\ No newline at end of file
+/**
+ * Fetch the full text of a BOE disposition
+ * Uses the XML document endpoint first and falls back to scraping the HTML page
+ * @param {string} identifier - BOE identifier (BOE-A-YYYY-NNNN)
+ * @param {string} [htmlUrl] - URL of the disposition's HTML page
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<string|null>} - Full text or null if it could not be fetched
+ */
+async function fetchBOEDocumentText(identifier, htmlUrl, requestId) {
+  if (identifier) {
+    const url = `${BOE_BASE_URL}${DOCUMENT_XML_ENDPOINT}${identifier}`;
+    try {
+      const response = await axios.get(url, {
+        timeout: config.scraper.timeout || 15000,
+        headers: {
+          'User-Agent': config.scraper.userAgent || 'BOE Parser Bot',
+          'Accept': 'application/xml, text/xml'
+        },
+        responseType: 'text'
+      });
+
+      const dom = new JSDOM(response.data, { contentType: 'text/xml' });
+      const textElement = dom.window.document.querySelector('texto');
+      if (textElement) {
+        // Join block elements (<p>, <table>...) with a space so paragraphs don't run together
+        const blocks = Array.from(textElement.children).map(element => element.textContent);
+        return processTextContent(blocks.length > 0 ? blocks.join(' ') : textElement.textContent);
+      }
+      console.warn(`BOE document XML has no <texto> element - Request ID: ${requestId}, URL: ${url}`);
+    } catch (error) {
+      console.warn(`Error fetching BOE document XML - Request ID: ${requestId}, URL: ${url}, Error: ${error.message}`);
+    }
+  }
+
+  return scrapeBOEText(htmlUrl || (identifier && `${BOE_BASE_URL}/diario_boe/txt.php?id=${identifier}`), requestId);
+}
+
+export { fetchSummaryDocument, getSumarioUrl, fetchBOESummary, parseBOEXML, scrapeBOEText, fetchBOEDocumentText };
\ No newline at end of file
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseBOEXML } from './scraper.js';
+
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const item = id => `
+  <item>
+    <identificador>BOE-A-2025-${id}</identificador>
+    <titulo>Disposición ${id}</titulo>
+    <url_pdf szBytes="1" szKBytes="1" pagina_inicial="${id}" pagina_final="${id}">https://www.boe.es/${id}.pdf</url_pdf>
+    <url_html>https://www.boe.es/${id}</url_html>
+    <url_xml>https://www.boe.es/${id}.xml</url_xml>
+  </item>`;
+
+const sumario = `<?xml version="1.0" encoding="utf-8"?>
+<response>
+  <status><code>200</code><text>ok</text></status>
+  <data>
+    <sumario>
+      <metadatos><publicacion>BOE</publicacion><fecha_publicacion>20250320</fecha_publicacion></metadatos>
+      <diario numero="70">
+        <sumario_diario><identificador>BOE-S-2025-70</identificador></sumario_diario>
+        <seccion codigo="1" nombre="I. Disposiciones generales">
+          <departamento codigo="1" nombre="MINISTERIO A">
+            <epigrafe nombre="Ayudas">${item(1)}${item(2)}</epigrafe>
+            ${item(3)}
+            <epigrafe nombre="Subvenciones">${item(4)}</epigrafe>
+          </departamento>
+          ${item(5)}
+          <departamento codigo="2" nombre="MINISTERIO B">${item(6)}</departamento>
+        </seccion>
+      </diario>
+    </sumario>
+  </data>
+</response>`;
+
+describe('parseBOEXML', () => {
+  it('lists items in the order of the sumario', () => {
+    const { items } = parseBOEXML(sumario, 'test', '2025-03-20');
+
+    expect(items.map(({ identifier, department, epigraph }) => [identifier, department, epigraph])).toEqual([
+      ['BOE-A-2025-1', 'MINISTERIO A', 'Ayudas'],
+      ['BOE-A-2025-2', 'MINISTERIO A', 'Ayudas'],
+      ['BOE-A-2025-3', 'MINISTERIO A', ''],
+      ['BOE-A-2025-4', 'MINISTERIO A', 'Subvenciones'],
+      ['BOE-A-2025-5', '', ''],
+      ['BOE-A-2025-6', 'MINISTERIO B', '']
+    ]);
+  });
+
+  it('keeps the issue information', () => {
+    const { boe_info: boeInfo } = parseBOEXML(sumario, 'test', '2025-03-20');
+
+    expect(boeInfo).toMatchObject({ issue_number: '70', publication_date: '2025-03-20', sumario_id: 'BOE-S-2025-70', total_pages: 6 });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * BOE (Boletín Oficial del Estado) bulletin source
+ */
+import { fetchBOESummary, getSumarioUrl, parseBOEXML, fetchBOEDocumentText } from '../scraper.js';
+
+export default {
+  id: 'BOE',
+  name: 'Boletín Oficial del Estado',
+  // e.g. BOE-A-2025-1234
+  identifierPattern: /BOE-[A-Z]-\d{4}-\d+/,
+
+  /**
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string} - Sumario URL
+   */
+  getSummaryUrl(date) {
+    return getSumarioUrl('boe', date.replace(/-/g, ''));
+  },
+
+  fetchSummary(date, requestId) {
+    return fetchBOESummary(date.replace(/-/g, ''), requestId);
+  },
+
+  parseSummary(data, requestId, queryDate) {
+    return parseBOEXML(data, requestId, queryDate, 'boe');
+  },
+
+  fetchDocumentText(identifier, htmlUrl, requestId) {
+    return fetchBOEDocumentText(identifier, htmlUrl, requestId);
+  }
+};
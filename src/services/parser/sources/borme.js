@@ -0,0 +1,33 @@
+/**
+ * BORME (Boletín Oficial del Registro Mercantil) bulletin source
+ * Published by boe.es through the same datosabiertos sumario API and XML format as the BOE
+ */
+import { fetchSummaryDocument, getSumarioUrl, parseBOEXML, scrapeBOEText } from '../scraper.js';
+
+export default {
+  id: 'BORME',
+  name: 'Boletín Oficial del Registro Mercantil',
+  // e.g. BORME-A-2025-55-28 (acts of a province) or BORME-C-2025-1234 (announcements)
+  identifierPattern: /BORME-[A-Z]-\d{4}-\d+(?:-\d+)?/,
+
+  /**
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string} - Sumario URL
+   */
+  getSummaryUrl(date) {
+    return getSumarioUrl('borme', date.replace(/-/g, ''));
+  },
+
+  fetchSummary(date, requestId) {
+    return fetchSummaryDocument(this.getSummaryUrl(date), requestId, { service: 'BORME' });
+  },
+
+  parseSummary(data, requestId, queryDate) {
+    return parseBOEXML(data, requestId, queryDate, 'borme');
+  },
+
+  // Announcements have an HTML page; the acts of each province are only published as PDF
+  async fetchDocumentText(identifier, htmlUrl, requestId) {
+    return htmlUrl ? scrapeBOEText(htmlUrl, requestId) : null;
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * DOGA (Diario Oficial de Galicia) bulletin source
+ */
+import { JSDOM } from 'jsdom';
+import config from '../../../config/config.js';
+import { fetchSummaryDocument, scrapeBOEText, BOE_ISSUE_STATUS } from '../scraper.js';
+import { processTextContent } from '../textProcessor.js';
+import { createServiceError } from '../../../utils/errors/AppError.js';
+
+// Announcement pages, e.g. /dog/Publicados/2025/20250116/AnuncioG0003-070125-0004_es.html
+const ANNOUNCEMENT_URL_REGEX = /\/dog\/Publicados\/\d{4}\/\d{8}\/(Anuncio[\w-]+?)_(es|gl)\.(html|pdf)$/;
+
+// Notice shown instead of the summary when there is no issue, in Spanish or Galician,
+// e.g. "No hay ningún DOG publicado en la fecha seleccionada", "Non hai diario publicado"
+const NO_ISSUE_NOTICE_REGEX = /\bnon?\s+(?:hay|hai|existe|se\s+ha\s+publicado|se\s+publica)\b[^.]{0,60}?\b(?:DOG|diario|publicaci[oó]n|n[uú]mero|boletín)/i;
+
+/**
+ * Get the title of an announcement whose link is only labelled "PDF"/"HTML"
+ * The title is then the text of the surrounding block, without those labels
+ * @param {Element} link - Announcement link
+ * @returns {string} - Title or empty string
+ */
+function getBlockTitle(link) {
+  const block = link.closest('li, p, div');
+  if (!block) return '';
+
+  const clone = block.cloneNode(true);
+  clone.querySelectorAll('a').forEach(anchor => {
+    if (processTextContent(anchor.textContent).length <= 20) anchor.remove();
+  });
+  return processTextContent(clone.textContent);
+}
+
+/**
+ * Tell whether a summary page without announcements is a day without issue
+ * DOGA is not published on weekends; on holidays the portal shows a notice instead of the summary
+ * @param {Document} document - Summary page
+ * @param {string} queryDate - Requested date in YYYY-MM-DD format
+ * @returns {boolean} - True if no issue was published, false if the page is not recognized
+ */
+function isNoIssuePage(document, queryDate) {
+  const weekday = new Date(`${queryDate}T00:00:00Z`).getUTCDay();
+  if (weekday === 0 || weekday === 6) return true;
+  return NO_ISSUE_NOTICE_REGEX.test(processTextContent(document.body?.textContent || ''));
+}
+
+/**
+ * Parse the DOGA daily summary page into items
+ * The summary is an HTML page, so items are found by their announcement links;
+ * the closest preceding h2/h3 and h4 headings give the section and issuing body
+ * @param {string} html - Summary page HTML
+ * @param {string} requestId - Request ID for logging
+ * @param {string} queryDate - Requested date in YYYY-MM-DD format
+ * @param {string} summaryUrl - URL the page was fetched from, to resolve relative links
+ * @returns {Object} - Parsed DOGA data
+ */
+function parseDOGASummary(html, requestId, queryDate, summaryUrl) {
+  const dom = new JSDOM(html, { url: summaryUrl });
+  const document = dom.window.document;
+
+  const items = [];
+  const seen = new Set();
+  let section = '';
+  let department = '';
+
+  document.querySelectorAll('h2, h3, h4, a[href]').forEach(element => {
+    const tagName = element.tagName.toLowerCase();
+    if (tagName === 'h2' || tagName === 'h3') {
+      section = processTextContent(element.textContent);
+      department = '';
+      return;
+    }
+    if (tagName === 'h4') {
+      department = processTextContent(element.textContent);
+      return;
+    }
+
+    const match = element.href.match(ANNOUNCEMENT_URL_REGEX);
+    if (!match || seen.has(match[1])) return;
+    seen.add(match[1]);
+
+    const linkText = processTextContent(element.textContent);
+    const title = linkText.length > 20 ? linkText : getBlockTitle(element) || linkText;
+    const baseUrl = element.href.replace(/\.(html|pdf)$/, '');
+
+    items.push({
+      identifier: match[1],
+      title,
+      section,
+      department,
+      epigraph: '',
+      bulletin_type: 'DOGA',
+      links: {
+        pdf: `${baseUrl}.pdf`,
+        html: `${baseUrl}.html`,
+        xml: ''
+      }
+    });
+  });
+
+  // A page without announcements that is not a day without issue means the markup changed
+  if (items.length === 0) {
+    const noIssue = isNoIssuePage(document, queryDate);
+    if (!noIssue) {
+      console.error(`DOGA summary page not recognized - Request ID: ${requestId}, Date: ${queryDate}, URL: ${summaryUrl}`);
+    }
+    throw createServiceError(noIssue
+      ? `No DOGA issue published for ${queryDate}`
+      : `DOGA summary page for ${queryDate} lists no announcements and is not a day without issue`, {
+      url: summaryUrl,
+      outcome: noIssue ? BOE_ISSUE_STATUS.NOT_PUBLISHED : BOE_ISSUE_STATUS.MALFORMED_XML
+    });
+  }
+
+  const issueNumber = document.body?.textContent.match(/N[úu]m(?:ero|\.)?\s*(\d+)/i)?.[1] || '';
+
+  console.log(`Parsed DOGA summary - Request ID: ${requestId}, Issue: ${issueNumber}, Items: ${items.length}`);
+
+  return {
+    items,
+    boe_info: {
+      bulletin_type: 'DOGA',
+      issue_number: issueNumber,
+      publication_date: queryDate,
+      source_url: summaryUrl
+    },
+    query_date: queryDate
+  };
+}
+
+export default {
+  id: 'DOGA',
+  name: 'Diario Oficial de Galicia',
+  // e.g. AnuncioG0003-070125-0004
+  identifierPattern: /Anuncio\w+-\d{6}-\d+/,
+
+  /**
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string} - Summary page URL
+   */
+  getSummaryUrl(date) {
+    return config.bulletins.doga.summaryUrl.replace('{date}', date.replace(/-/g, ''));
+  },
+
+  fetchSummary(date, requestId) {
+    return fetchSummaryDocument(this.getSummaryUrl(date), requestId, { service: 'DOGA', accept: 'text/html' });
+  },
+
+  parseSummary(data, requestId, queryDate) {
+    return parseDOGASummary(data, requestId, queryDate, this.getSummaryUrl(queryDate));
+  },
+
+  async fetchDocumentText(identifier, htmlUrl, requestId) {
+    return htmlUrl ? scrapeBOEText(htmlUrl, requestId) : null;
+  }
+};
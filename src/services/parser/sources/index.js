@@ -0,0 +1,46 @@
+/**
+ * Bulletin sources registry
+ *
+ * Each source fetches one issue of a bulletin and parses it into the same item shape
+ * ({ identifier, title, section, department, epigraph, bulletin_type, links }).
+ */
+import boe from './boe.js';
+import borme from './borme.js';
+import doga from './doga.js';
+
+/**
+ * @typedef {Object} BulletinSource
+ * @property {string} id - Bulletin identifier, also used as the items' bulletin_type
+ * @property {string} name - Bulletin name
+ * @property {Function} getSummaryUrl - (date) => URL of the issue summary for a YYYY-MM-DD date
+ * @property {Function} fetchSummary - (date, requestId) => Promise resolving to the raw summary
+ * @property {Function} parseSummary - (data, requestId, queryDate) => { items, boe_info, query_date }
+ * @property {RegExp} identifierPattern - Matches the bulletin's disposition identifiers, in item fields or URLs
+ * @property {Function} [fetchDocumentText] - (identifier, htmlUrl, requestId) => Promise resolving to a disposition's
+ *   full text, or null if unavailable; bulletins without it do not support full-text analysis
+ */
+
+const SOURCES = {
+  [boe.id]: boe,
+  [borme.id]: borme,
+  [doga.id]: doga,
+};
+
+export const SUPPORTED_BULLETINS = Object.keys(SOURCES);
+
+/**
+ * Get every bulletin source
+ * @returns {Array<BulletinSource>} - Sources
+ */
+export function getBulletinSources() {
+  return Object.values(SOURCES);
+}
+
+/**
+ * Get the source for a bulletin
+ * @param {string} [bulletin='BOE'] - Bulletin identifier (case-insensitive)
+ * @returns {BulletinSource|null} - Bulletin source or null if not supported
+ */
+export function getBulletinSource(bulletin = 'BOE') {
+  return SOURCES[String(bulletin).toUpperCase()] || null;
+}
@@ -0,0 +1,147 @@
+/**
+ * Seen-set of notified dispositions - remembers which disposition identifiers were already
+ * published to each subscription, so later runs for the same date do not notify them again
+ */
+import config from '../../config/config.js';
+import { createCache } from '../cache/index.js';
+
+// Notified identifiers by subscription, created on first use
+let seenStore;
+
+// Updates in progress by subscription, so concurrent requests do not overwrite each other's records
+const updates = new Map();
+
+/**
+ * Get the seen-set store
+ * @returns {Object} - Cache backend holding one record per subscription
+ */
+function getSeenStore() {
+  if (!seenStore) {
+    seenStore = createCache('subscriptions', {
+      backend: config.seenSet.backend,
+      maxEntries: config.seenSet.maxSubscriptions,
+      directory: config.seenSet.directory
+    });
+  }
+  return seenStore;
+}
+
+/**
+ * Get the identifier a match is remembered by
+ * Matches are normalized before they get here, so their identifier is the one of the sumario item
+ * they came from, in their bulletin's own format
+ * @param {Object} match - Normalized match
+ * @returns {string} - Disposition identifier, or '' if the match has none
+ */
+function getSeenIdentifier(match) {
+  return typeof match.identifier === 'string' ? match.identifier.trim() : '';
+}
+
+/**
+ * Run an update of a subscription's record after the ones already queued for it
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Function} update - Async function performing the update
+ * @returns {Promise<*>} - Result of the update
+ */
+function queueUpdate(subscriptionId, update) {
+  const previous = updates.get(subscriptionId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(update);
+  updates.set(subscriptionId, next);
+  next.catch(() => {}).finally(() => {
+    if (updates.get(subscriptionId) === next) updates.delete(subscriptionId);
+  });
+  return next;
+}
+
+/**
+ * Read the identifiers a subscription was notified of, leaving out the ones past their retention
+ * @param {string} subscriptionId - Subscription ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - Notification time by identifier
+ */
+async function getNotified(subscriptionId, now) {
+  const ttlMs = config.seenSet.ttlDays * 24 * 60 * 60 * 1000;
+  const record = await getSeenStore().get(subscriptionId);
+  return Object.fromEntries(
+    Object.entries(record?.identifiers || {}).filter(([, notifiedAt]) => now - notifiedAt < ttlMs)
+  );
+}
+
+/**
+ * Mark or drop the matches already notified to the response's subscription
+ * The response is updated in place before it is published; responses without subscription are left as they are.
+ * Its new matches are only remembered by recordNotified, once the message is published.
+ * @param {Object} response - Analysis response, as built for Pub/Sub
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} - The response, with metadata.already_notified counting the repeated matches
+ */
+export async function applySeenSet(response, requestId) {
+  const mode = config.seenSet.mode;
+  const subscriptionId = response.request?.subscription_id;
+  if (mode === 'off' || !subscriptionId) {
+    return response;
+  }
+
+  try {
+    // Waits for records still being written for this subscription
+    const notified = await queueUpdate(subscriptionId, () => getNotified(subscriptionId, Date.now()));
+
+    let alreadyNotified = 0;
+    response.results.results = response.results.results.map(result => {
+      const matches = result.matches.flatMap(match => {
+        const identifier = getSeenIdentifier(match);
+        if (!identifier || !notified[identifier]) return [match];
+        alreadyNotified++;
+        return mode === 'drop' ? [] : [{ ...match, already_notified: true }];
+      });
+      return { ...result, matches };
+    });
+
+    if (alreadyNotified > 0) {
+      console.log(`Matches already notified - Request ID: ${requestId}, Subscription ID: ${subscriptionId}, Matches: ${alreadyNotified}, Mode: ${mode}`);
+    }
+    response.metadata.already_notified = alreadyNotified;
+  } catch (error) {
+    // Notifying twice is better than not notifying at all
+    console.error(`Failed to check notified matches, publishing all - Request ID: ${requestId}, Subscription ID: ${subscriptionId}, Error:`, error);
+  }
+
+  return response;
+}
+
+/**
+ * Remember the new matches of a response as notified to its subscription
+ * Called once the results message is published, not when it is stored in the outbox, as a message
+ * lost from a non-durable outbox would otherwise hide its matches from every later run
+ * @param {Object} response - Analysis response passed through applySeenSet
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<void>}
+ */
+export async function recordNotified(response, requestId) {
+  const subscriptionId = response.request?.subscription_id;
+  if (config.seenSet.mode === 'off' || !subscriptionId) {
+    return;
+  }
+
+  const fresh = response.results.results
+    .flatMap(result => result.matches)
+    .filter(match => !match.already_notified)
+    .map(getSeenIdentifier)
+    .filter(Boolean);
+  if (fresh.length === 0) {
+    return;
+  }
+
+  try {
+    await queueUpdate(subscriptionId, async () => {
+      const now = Date.now();
+      const notified = await getNotified(subscriptionId, now);
+      fresh.forEach(identifier => {
+        notified[identifier] = now;
+      });
+      await getSeenStore().set(subscriptionId, { identifiers: notified }, config.seenSet.ttlDays * 24 * 60 * 60);
+    });
+  } catch (error) {
+    console.error(`Failed to record notified matches - Request ID: ${requestId}, Subscription ID: ${subscriptionId}, Error:`, error);
+  }
+}
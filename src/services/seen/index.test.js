@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { randomUUID } from 'crypto';
+import config from '../../config/config.js';
+import { applySeenSet, recordNotified } from './index.js';
+
+config.seenSet.backend = 'memory';
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const originalMode = config.seenSet.mode;
+
+/**
+ * Build a response with one result per list of identifiers
+ * @param {string} subscriptionId - Subscription ID
+ * @param {...Array<string>} identifiers - Match identifiers of each result
+ * @returns {Object} - Analysis response
+ */
+function buildResponse(subscriptionId, ...identifiers) {
+  return {
+    request: { subscription_id: subscriptionId, user_id: 'user-1', texts: identifiers.map((_, index) => `prompt ${index}`) },
+    results: {
+      results: identifiers.map(ids => ({ prompt: 'prompt', matches: ids.map(identifier => ({ identifier, title: identifier })) }))
+    },
+    metadata: {}
+  };
+}
+
+const matchIds = response => response.results.results.map(result => result.matches.map(match => match.identifier));
+
+describe('seen-set', () => {
+  let subscriptionId;
+
+  beforeEach(() => {
+    subscriptionId = `sub-${randomUUID()}`;
+  });
+
+  afterEach(() => {
+    config.seenSet.mode = originalMode;
+  });
+
+  it('marks the matches already notified in mark mode', async () => {
+    config.seenSet.mode = 'mark';
+    await recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test');
+
+    const response = await applySeenSet(buildResponse(subscriptionId, ['BOE-A-2025-1', 'BOE-A-2025-2']), 'test');
+
+    expect(response.results.results[0].matches).toEqual([
+      { identifier: 'BOE-A-2025-1', title: 'BOE-A-2025-1', already_notified: true },
+      { identifier: 'BOE-A-2025-2', title: 'BOE-A-2025-2' }
+    ]);
+    expect(response.metadata.already_notified).toBe(1);
+  });
+
+  it('drops the matches already notified in drop mode', async () => {
+    config.seenSet.mode = 'drop';
+    await recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test');
+
+    const response = await applySeenSet(buildResponse(subscriptionId, ['BOE-A-2025-1', 'BOE-A-2025-2'], ['BOE-A-2025-1']), 'test');
+
+    expect(matchIds(response)).toEqual([['BOE-A-2025-2'], []]);
+    expect(response.metadata.already_notified).toBe(2);
+  });
+
+  it('remembers dispositions of every bulletin by their identifier', async () => {
+    config.seenSet.mode = 'drop';
+    await recordNotified(buildResponse(subscriptionId, ['AnuncioG0003-070125-0004', 'BORME-C-2025-12']), 'test');
+
+    const response = await applySeenSet(buildResponse(subscriptionId, ['AnuncioG0003-070125-0004', 'BORME-C-2025-12', 'BORME-C-2025-13']), 'test');
+
+    expect(matchIds(response)).toEqual([['BORME-C-2025-13']]);
+  });
+
+  it('keeps each subscription apart', async () => {
+    config.seenSet.mode = 'mark';
+    await recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test');
+
+    const other = await applySeenSet(buildResponse(`sub-${randomUUID()}`, ['BOE-A-2025-1']), 'test');
+
+    expect(other.metadata.already_notified).toBe(0);
+  });
+
+  it('leaves responses alone when off or without subscription', async () => {
+    config.seenSet.mode = 'mark';
+    await recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test');
+
+    config.seenSet.mode = 'off';
+    const off = await applySeenSet(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test');
+    config.seenSet.mode = 'drop';
+    const anonymous = await applySeenSet(buildResponse('', ['BOE-A-2025-1']), 'test');
+
+    expect(matchIds(off)).toEqual([['BOE-A-2025-1']]);
+    expect(off.metadata).toEqual({});
+    expect(matchIds(anonymous)).toEqual([['BOE-A-2025-1']]);
+  });
+
+  it('serializes concurrent records of the same subscription so none is lost', async () => {
+    config.seenSet.mode = 'drop';
+
+    await Promise.all([
+      recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test'),
+      recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-2']), 'test'),
+      recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-3']), 'test')
+    ]);
+    const response = await applySeenSet(buildResponse(subscriptionId, ['BOE-A-2025-1', 'BOE-A-2025-2', 'BOE-A-2025-3']), 'test');
+
+    expect(matchIds(response)).toEqual([[]]);
+  });
+
+  it('reads after the records queued before it', async () => {
+    config.seenSet.mode = 'drop';
+
+    const [, response] = await Promise.all([
+      recordNotified(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test'),
+      applySeenSet(buildResponse(subscriptionId, ['BOE-A-2025-1']), 'test')
+    ]);
+
+    expect(matchIds(response)).toEqual([[]]);
+  });
+});
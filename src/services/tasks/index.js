@@ -0,0 +1,111 @@
+/**
+ * Analysis task worker - consumes the boe-analysis-tasks subscription
+ */
+import config from '../../config/config.js';
+import { runTextAnalysis } from '../analysis/index.js';
+import { getTaskSubscription } from '../../utils/pubsub.js';
+import { validateAnalysisTaskMessage } from '../../utils/schemas/pubsubMessages.js';
+import { validateAnalyzeRequest } from '../../middleware/validation.js';
+import { ErrorTypes } from '../../utils/errors/AppError.js';
+
+// Deliveries seen by this worker by message ID, for subscriptions without a dead-letter
+// policy (Pub/Sub only reports deliveryAttempt when one is set)
+const localDeliveryAttempts = new Map();
+
+/**
+ * Get the delivery attempt of a message
+ * @param {Object} message - Pub/Sub message
+ * @returns {number} - Delivery attempt, starting at 1
+ */
+function getDeliveryAttempt(message) {
+  if (message.deliveryAttempt) return message.deliveryAttempt;
+  const attempt = (localDeliveryAttempts.get(message.id) || 0) + 1;
+  localDeliveryAttempts.set(message.id, attempt);
+  return attempt;
+}
+
+/**
+ * Ack a message and forget its local delivery count
+ * @param {Object} message - Pub/Sub message
+ */
+function ackMessage(message) {
+  localDeliveryAttempts.delete(message.id);
+  message.ack();
+}
+
+/**
+ * Whether a failed task may succeed if delivered again
+ * Invalid requests (4xx) and configuration errors, alone or behind every provider attempt,
+ * fail the same way every time
+ * @param {Error} error - Processing error
+ * @returns {boolean} - True if the task should be retried
+ */
+function isRetryable(error) {
+  if (error.statusCode >= 400 && error.statusCode < 500) return false;
+  if (error.code === ErrorTypes.CONFIGURATION_ERROR) return false;
+
+  const attempts = error.details?.attempts || [];
+  return !(attempts.length > 0 && attempts.every(attempt => attempt.code === ErrorTypes.CONFIGURATION_ERROR));
+}
+
+/**
+ * Process one task message, then ack or nack it
+ * - invalid messages are acked (dropped): redelivering them cannot help
+ * - processing failures are nacked for redelivery until max_retries retries were made
+ * @param {Object} message - Pub/Sub message
+ */
+export async function handleTaskMessage(message) {
+  const deliveryAttempt = getDeliveryAttempt(message);
+  let task;
+
+  try {
+    task = JSON.parse(message.data.toString());
+    validateAnalysisTaskMessage(task);
+    const errors = validateAnalyzeRequest(task.payload);
+    if (errors.length > 0) {
+      throw new Error(`Invalid payload: ${errors.join('; ')}`);
+    }
+  } catch (error) {
+    console.error(`Dropping invalid analysis task - Message ID: ${message.id}, Error: ${error.message}`);
+    ackMessage(message);
+    return;
+  }
+
+  const requestId = task.task_id;
+  const maxAttempts = task.max_retries !== undefined ? task.max_retries + 1 : config.worker.maxDeliveryAttempts;
+
+  console.log(`Processing analysis task - Request ID: ${requestId}, Message ID: ${message.id}, Delivery Attempt: ${deliveryAttempt}, Prompts: ${task.payload.texts.length}`);
+
+  try {
+    const response = await runTextAnalysis(task.payload, requestId, Date.now());
+    console.log(`Analysis task completed - Request ID: ${requestId}, Trace ID: ${response.trace_id}, Status: ${response.metadata.status}`);
+    ackMessage(message);
+  } catch (error) {
+    if (isRetryable(error) && deliveryAttempt < maxAttempts) {
+      console.warn(`Analysis task failed, will be redelivered - Request ID: ${requestId}, Delivery Attempt: ${deliveryAttempt}/${maxAttempts}, Error: ${error.message}`);
+      message.nack();
+    } else {
+      console.error(`Analysis task failed permanently - Request ID: ${requestId}, Delivery Attempt: ${deliveryAttempt}/${maxAttempts}, Error:`, error);
+      ackMessage(message);
+    }
+  }
+}
+
+/**
+ * Start pulling analysis tasks
+ * @returns {Object} - Subscription client, to close on shutdown
+ */
+export function startTaskSubscriber() {
+  const subscription = getTaskSubscription({
+    flowControl: { maxMessages: config.worker.maxConcurrentTasks, allowExcessMessages: false }
+  });
+
+  subscription.on('message', handleTaskMessage);
+  subscription.on('error', error => {
+    console.error(`Task subscription error - Subscription: ${subscription.name}, Error:`, error);
+  });
+
+  console.log(`Listening for analysis tasks - Subscription: ${subscription.name}, Max Concurrent Tasks: ${config.worker.maxConcurrentTasks}`);
+
+  return subscription;
+}
@@ -1,13 +1,20 @@
 export function getApiDocs() {
   return {
     "api_version": "1.0",
-    "description": "DOGA (Diario Oficial de Galicia) Analysis Service API",
+    "description": "Official bulletin (BOE, BORME, DOGA) Analysis Service API",
     "endpoints": {
       "/analyze-text": {
         "method": "POST",
-        "description": "Analyzes multiple text queries against the latest DOGA content in parallel",
+        "description": "Analyzes multiple text queries against the content of an official bulletin issue in parallel",
         "request": {
           "content_type": "application/json",
+          "headers": {
+            "Idempotency-Key": {
+              "type": "string",
+              "description": "Requests repeating a key get the stored response (Idempotent-Replayed: true) instead of being analyzed and published again. Without it, the key is derived from subscription_id and every analysis option of the body",
+              "required": false
+            }
+          },
           "body": {
             "texts": {
               "type": "array",
@@ -18,52 +25,92 @@ export function getApiDocs() {
                 "List announcements about environmental grants",
                 "Show orders related to education"
               ]
+            },
+            "bulletin": {
+              "type": "string",
+              "description": "Bulletin to analyze: BOE (Boletín Oficial del Estado), BORME (Boletín Oficial del Registro Mercantil) or DOGA (Diario Oficial de Galicia)",
+              "required": false,
+              "default": "BOE"
+            },
+            "date": {
+              "type": "string",
+              "format": "YYYY-MM-DD",
+              "description": "Issue date, defaults to today",
+              "required": false
+            },
+            "date_from": {
+              "type": "string",
+              "format": "YYYY-MM-DD",
+              "description": "Start of a date range, used together with date_to instead of date",
+              "required": false
+            },
+            "date_to": {
+              "type": "string",
+              "format": "YYYY-MM-DD",
+              "description": "End of a date range, used together with date_from",
+              "required": false
+            },
+            "prefilter": {
+              "type": "object",
+              "description": "Lexical pre-filter options: enabled (boolean) and top_n (number of items per prompt sent to the model)",
+              "required": false,
+              "example": { "enabled": true, "top_n": 60 }
+            },
+            "semantic": {
+              "type": "object",
+              "description": "Semantic retrieval options: enabled (boolean) and top_k (number of items per prompt kept by embedding similarity)",
+              "required": false,
+              "example": { "enabled": true, "top_k": 30 }
+            },
+            "async": {
+              "type": "boolean",
+              "description": "Run the analysis as a background job: the response is 202 with job_id and status_url (GET /jobs/:id)",
+              "required": false
+            },
+            "full_text": {
+              "type": "boolean",
+              "description": "Fetch the full text of the matched dispositions and refine the results with it",
+              "required": false
             }
           }
         },
         "response": {
           "content_type": "application/json",
           "structure": {
-            "query_date": {
-              "type": "string",
-              "format": "YYYY-MM-DD",
-              "description": "Date when the query was processed"
-            },
-            "doga_info": {
+            "results": {
               "type": "object",
-              "description": "Information about the DOGA issue being analyzed",
               "properties": {
-                "issue_number": "DOGA issue number",
-                "publication_date": "Publication date",
-                "source_url": "URL of the DOGA website"
-              }
-            },
-            "results": {
-              "type": "array",
-              "description": "Analysis results for each prompt",
-              "items": {
-                "prompt": "Original search query",
-                "matches": {
+                "query_date": "Requested date (YYYY-MM-DD)",
+                "boe_info": {
+                  "type": "object",
+                  "description": "Information about the bulletin issue being analyzed",
+                  "properties": {
+                    "bulletin_type": "Bulletin identifier (BOE, BORME, DOGA)",
+                    "issue_number": "Issue number",
+                    "publication_date": "Publication date",
+                    "source_url": "URL of the issue summary"
+                  }
+                },
+                "results": {
                   "type": "array",
+                  "description": "Analysis results for each prompt",
                   "items": {
-                    "document_type": "Type of document (ORDER, RESOLUTION, ANNOUNCEMENT, etc.)",
-                    "issuing_body": "Organization that issued the document",
-                    "title": "Complete document title",
-                    "dates": {
-                      "document_date": "Original document date",
-                      "publication_date": "Publication date in DOGA"
+                    "prompt": "Original search query",
+                    "matches": {
+                      "type": "array",
+                      "items": {
+                        "identifier": "Disposition identifier (e.g. BOE-A-2025-1234)",
+                        "document_type": "Type of document (ORDER, RESOLUTION, ANNOUNCEMENT, etc.)",
+                        "title": "Document title",
+                        "notification_title": "Short title for notifications",
+                        "issuing_body": "Organization that issued the document",
+                        "summary": "Brief content summary",
+                        "relevance_score": "Match relevance, from 0 to 1",
+                        "links": "Links to the document (html, pdf)"
+                      }
                     },
-                    "procedure_code": "Official procedure code if available",
-                    "category": "Main document category",
-                    "subcategory": "Document subcategory",
-                    "url": "Direct link to the document",
-                    "relevance_score": "Match relevance (0-1)",
-                    "summary": "Brief content summary"
+                    "metadata": "Analysis metadata for the prompt"
                   }
-                },
-                "metadata": {
-                  "match_count": "Number of matches found",
-                  "max_relevance": "Highest relevance score"
                 }
               }
             },
@@ -71,57 +118,111 @@ export function getApiDocs() {
               "type": "object",
               "description": "Query execution metadata",
               "properties": {
-                "total_items_processed": "Number of DOGA items analyzed",
-                "processing_time_ms": "Total processing time in milliseconds"
+                "total_items_processed": "Number of bulletin items analyzed",
+                "processing_time_ms": "Total processing time in milliseconds",
+                "status": "Fetch outcome: success, no_issue_published, upstream_unavailable, malformed_xml or partial"
               }
             }
           }
         },
         "example_response": {
-          "query_date": "2025-01-16",
-          "doga_info": {
-            "issue_number": "10",
-            "publication_date": "2025-01-16",
-            "source_url": "https://www.xunta.gal/diario-oficial-galicia"
+          "results": {
+            "query_date": "2025-01-16",
+            "boe_info": {
+              "bulletin_type": "DOGA",
+              "issue_number": "10",
+              "publication_date": "2025-01-16",
+              "source_url": "https://www.xunta.gal/diario-oficial-galicia/portalPublicoHome.do?fecha=20250116&lang=es"
+            },
+            "results": [{
+              "prompt": "Find all resolutions about public employment",
+              "matches": [{
+                "identifier": "AnuncioG0003-070125-0004",
+                "document_type": "RESOLUTION",
+                "title": "RESOLUCIÓN de 30 de diciembre de 2024, conjunta de la Dirección General de Recursos Humanos",
+                "notification_title": "Programa de formación para empleo público",
+                "issuing_body": "Servicio Gallego de Salud",
+                "summary": "Resolution regarding public employment training program",
+                "relevance_score": 0.95,
+                "links": {
+                  "html": "https://www.xunta.gal/dog/Publicados/2025/20250116/AnuncioG0003-070125-0004_es.html",
+                  "pdf": "https://www.xunta.gal/dog/Publicados/2025/20250116/AnuncioG0003-070125-0004_es.pdf"
+                }
+              }],
+              "metadata": {}
+            }]
           },
-          "results": [{
-            "prompt": "Find all resolutions about public employment",
-            "matches": [{
-              "document_type": "RESOLUTION",
-              "issuing_body": "Servicio Gallego de Salud",
-              "title": "RESOLUCIÓN de 30 de diciembre de 2024, conjunta de la Dirección General de Recursos Humanos",
-              "dates": {
-                "document_date": "2024-12-30",
-                "publication_date": "2025-01-16"
-              },
-              "procedure_code": "ED531F",
-              "category": "III. Otras disposiciones",
-              "subcategory": "Servicio Gallego de Salud",
-              "url": "https://www.xunta.gal/dog/Publicados/2025/20250116/AnuncioG0003-070125-0004_es.html",
-              "relevance_score": 0.95,
-              "summary": "Resolution regarding public employment training program"
-            }],
-            "metadata": {
-              "match_count": 1,
-              "max_relevance": 0.95
-            }
-          }],
           "metadata": {
             "total_items_processed": 45,
-            "processing_time_ms": 1234
+            "processing_time_ms": 1234,
+            "status": "success"
           }
         },
         "errors": {
           "400": {
             "description": "Bad Request - Invalid input",
             "example": {
-              "error": "Array of text prompts is required"
+              "error": "bulletin must be one of: BOE, BORME, DOGA"
             }
           },
           "500": {
             "description": "Internal Server Error",
             "example": {
-              "error": "Failed to analyze with OpenAI: API error"
+              "error": "Failed to analyze with Gemini: API error"
+            }
+          }
+        }
+      },
+      "/analyze-batch": {
+        "method": "POST",
+        "description": "Analyzes the prompts of many subscriptions against a single fetch of the bulletin issue and publishes one message per subscription",
+        "request": {
+          "content_type": "application/json",
+          "body": {
+            "subscriptions": {
+              "type": "array",
+              "description": "Subscriptions to analyze, each with subscription_id, user_id and texts",
+              "required": true,
+              "example": [
+                { "subscription_id": "sub_1", "user_id": "user_1", "texts": ["Find all resolutions about public employment"] }
+              ]
+            },
+            "date": {
+              "type": "string",
+              "format": "YYYY-MM-DD",
+              "description": "Issue date, defaults to today. date_from/date_to, bulletin, full_text, prefilter and semantic are also accepted, as in /analyze-text",
+              "required": false
+            }
+          }
+        },
+        "response": {
+          "content_type": "application/json",
+          "structure": {
+            "batch_id": "Batch identifier",
+            "results": "boe_info and query_date of the analyzed issue",
+            "responses": "One /analyze-text response per subscription",
+            "metadata": "processing_time_ms, total_items_processed, subscriptions_count, prompts_analyzed and status"
+          }
+        }
+      },
+      "/jobs/:id": {
+        "method": "GET",
+        "description": "Returns the state of a background analysis job started with async: true",
+        "response": {
+          "content_type": "application/json",
+          "structure": {
+            "id": "Job ID",
+            "type": "analyze-text or analyze-batch",
+            "status": "queued, running, completed or failed",
+            "result": "Analysis response, once completed",
+            "error": "Error code and message, once failed"
+          }
+        },
+        "errors": {
+          "404": {
+            "description": "Unknown or expired job",
+            "example": {
+              "error": "Job not found: 2f6c0d1e-…"
             }
           }
         }
@@ -136,4 +237,4 @@ export function getApiDocs() {
       }
     }
   };
-}
\ No newline at end of file
+}
@@ -1,4 +1,44 @@
 export function formatDate(dateString) {
   const date = new Date(dateString);
   return date.toISOString().split('T')[0];
-}
\ No newline at end of file
+}
+
+/**
+ * Get today's date on the Spanish calendar, which bulletins are published by
+ * Differs from the UTC date between midnight in Madrid and midnight UTC
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getTodayInSpain() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'Europe/Madrid' });
+}
+
+/**
+ * List every calendar day between two dates, both inclusive
+ * @param {string} dateFrom - Start date in YYYY-MM-DD format
+ * @param {string} dateTo - End date in YYYY-MM-DD format
+ * @returns {Array<string>} - Dates in YYYY-MM-DD format
+ */
+export function getDateRange(dateFrom, dateTo) {
+  const dates = [];
+  const current = new Date(`${dateFrom}T00:00:00Z`);
+  const end = new Date(`${dateTo}T00:00:00Z`);
+
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Count the calendar days between two dates, both inclusive, without listing them
+ * @param {string} dateFrom - Start date in YYYY-MM-DD format
+ * @param {string} dateTo - End date in YYYY-MM-DD format
+ * @returns {number} - Days in the range, 0 if dateFrom is after dateTo, NaN if a date is invalid
+ */
+export function countDaysInRange(dateFrom, dateTo) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days = (Date.parse(`${dateTo}T00:00:00Z`) - Date.parse(`${dateFrom}T00:00:00Z`)) / dayMs + 1;
+  return Number.isNaN(days) ? NaN : Math.max(0, days);
+}
@@ -25,9 +25,11 @@ export const ErrorTypes = {
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   AUTHENTICATION_ERROR: 'AUTHENTICATION_ERROR',
   NOT_FOUND_ERROR: 'NOT_FOUND_ERROR',
+  CONFLICT_ERROR: 'CONFLICT_ERROR',
   SERVICE_ERROR: 'SERVICE_ERROR',
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   EXTERNAL_API_ERROR: 'EXTERNAL_API_ERROR',
+  CONFIGURATION_ERROR: 'CONFIGURATION_ERROR',
 };
 
 /**
@@ -58,6 +60,16 @@ export function createNotFoundError(message) {
   return new AppError(message, 404, ErrorTypes.NOT_FOUND_ERROR);
 }
 
+/**
+ * Create a conflict error
+ * @param {string} message - Error message
+ * @param {Object} [details={}] - Conflict error details
+ * @returns {AppError} - Conflict error
+ */
+export function createConflictError(message, details = {}) {
+  return new AppError(message, 409, ErrorTypes.CONFLICT_ERROR, details);
+}
+
 /**
  * Create a service error
  * @param {string} message - Error message
@@ -85,4 +97,14 @@ export function createInternalError(message) {
  */
 export function createExternalApiError(message, details = {}) {
   return new AppError(message, 502, ErrorTypes.EXTERNAL_API_ERROR, details);
+}
+
+/**
+ * Create a configuration error, for a missing key or unsupported setting that no retry can fix
+ * @param {string} message - Error message
+ * @param {Object} [details={}] - Configuration error details
+ * @returns {AppError} - Configuration error
+ */
+export function createConfigurationError(message, details = {}) {
+  return new AppError(message, 500, ErrorTypes.CONFIGURATION_ERROR, details);
 }
\ No newline at end of file
@@ -5,7 +5,7 @@ import { PubSub } from '@google-cloud/pubsub';
 import { randomUUID } from 'crypto';
 import config from '../config/config.js';
 import { createServiceError } from './errors/AppError.js';
-import { validateBoeParserMessage } from './schemas/pubsubMessages.js';
+import { validateBoeParserMessage, BOE_PARSER_RESULT_SCHEMA_VERSION } from './schemas/pubsubMessages.js';
 
 let pubsubClient;
 let mainTopicClient;
@@ -38,7 +38,9 @@ function getMainTopic() {
       throw new Error('Main Pub/Sub topic ID (config.services.pubsub.topicId) is not configured.');
   }
   if (!mainTopicClient) {
-    mainTopicClient = getClient().topic(topicName);
+    // Granular results messages are ordered per subscription; whole requests need no ordering
+    const messageOrdering = getPublishGranularity() !== 'request';
+    mainTopicClient = getClient().topic(topicName, { messageOrdering });
   }
   return mainTopicClient;
 }
@@ -58,14 +60,47 @@ function getErrorTopic() {
   return errorTopicClient;
 }
 
+/**
+ * Get Pub/Sub subscription client for a configured subscription
+ * @param {string} configKey - Key of the subscription ID in config.services.pubsub
+ * @param {Object} options - Subscriber options (e.g. flowControl)
+ * @returns {Object} - Subscription client
+ */
+function getSubscription(configKey, options) {
+  const subscriptionName = config.services.pubsub[configKey];
+  if (!subscriptionName) {
+    throw new Error(`Pub/Sub subscription ID (config.services.pubsub.${configKey}) is not configured.`);
+  }
+  return getClient().subscription(subscriptionName, options);
+}
+
+/**
+ * Get Pub/Sub subscription client for the analysis tasks subscription
+ * @param {Object} [options={}] - Subscriber options (e.g. flowControl)
+ * @returns {Object} - Subscription client
+ */
+export function getTaskSubscription(options = {}) {
+  return getSubscription('tasksSubscriptionId', options);
+}
+
+/**
+ * Get Pub/Sub subscription client for the DLQ topic, used to replay failed messages
+ * @param {Object} [options={}] - Subscriber options (e.g. flowControl)
+ * @returns {Object} - Subscription client
+ */
+export function getDlqSubscription(options = {}) {
+  return getSubscription('dlqSubscriptionId', options);
+}
+
 /**
  * Publish a message to a Pub/Sub topic client
  * @param {Object} topicClient - Initialized Pub/Sub Topic client
  * @param {Object} data - Data payload (will be JSON stringified)
  * @param {Object} attributes - Optional message attributes
+ * @param {string} [orderingKey] - Optional ordering key; messages sharing it are delivered in order
  * @returns {Promise<string>} - Message ID
  */
-async function publishMessageInternal(topicClient, data, attributes = {}) {
+async function publishMessageInternal(topicClient, data, attributes = {}, orderingKey) {
   const dataBuffer = Buffer.from(JSON.stringify(data));
   const topicName = topicClient.name; // Get name for logging
 
@@ -78,11 +113,15 @@ async function publishMessageInternal(topicClient, data, attributes = {}) {
       contentPreview: JSON.stringify(data).substring(0, 200) + '...'
     });
     
-    const messageId = await topicClient.publishMessage({ data: dataBuffer, attributes });
+    const messageId = await topicClient.publishMessage({ data: dataBuffer, attributes, ...(orderingKey && { orderingKey }) });
     console.log(`Message ${messageId} published successfully to topic ${topicName}.`);
     return messageId;
   } catch (error) {
     console.error(`Failed to publish message to topic ${topicName}:`, { error, attributes });
+    if (orderingKey) {
+      // A failed publish pauses its ordering key until resumed
+      topicClient.resumePublishing(orderingKey);
+    }
     throw createServiceError(`Failed to publish message to Pub/Sub topic ${topicName}`, {
       cause: error,
       topic: topicName,
@@ -91,71 +130,62 @@ async function publishMessageInternal(topicClient, data, attributes = {}) {
   }
 }
 
+// Supported results publishing granularities
+export const PUBLISH_GRANULARITIES = ['request', 'prompt', 'match'];
+
 /**
- * Transform raw matches into standardized format
- * @param {Array} matches - Raw matches from analysis
- * @param {Array} prompts - Prompts used for analysis
- * @param {string} queryDate - Date of BOE query
- * @returns {Array} - Transformed matches in standardized format
+ * Get the configured results publishing granularity
+ * @returns {string} - request, prompt or match; request if the configured one is unknown
  */
-function transformMatches(matches, prompts = ['General information'], queryDate = new Date().toISOString().split('T')[0]) {
-  if (!matches || matches.length === 0) {
-    return [{
-      prompt: prompts[0],
-      documents: [],
-    }];
+function getPublishGranularity() {
+  const granularity = config.services.pubsub.publishGranularity;
+  if (!PUBLISH_GRANULARITIES.includes(granularity)) {
+    console.warn(`Unknown publish granularity "${granularity}", publishing per request`);
+    return 'request';
   }
-
-  return matches.map(match => ({
-    prompt: match.prompt || prompts[0],
-    documents: [{
-      document_type: 'boe_document',
-      title: match.title || 'No title',
-      notification_title: match.notification_title || match.title || 'Notification',
-      issuing_body: match.issuing_body || '',
-      summary: match.summary || '',
-      relevance_score: match.relevance_score || 0,
-      links: match.links || { html: 'https://www.boe.es', pdf: '' },
-      publication_date: match.publication_date || queryDate,
-      section: match.section || 'general',
-      bulletin_type: match.bulletin_type || 'BOE',
-    }],
-  }));
+  return granularity;
 }
 
 /**
- * Extract matches from various possible response structures
- * @param {Object} results - Analysis results object
- * @returns {Array} - Extracted matches
+ * Split a results message into the messages published for a granularity
+ * Every part keeps the request envelope and follows the same schema, with results.results
+ * narrowed to one prompt or one match. A request without any match is published whole,
+ * so its status still reaches the notification worker.
+ * @param {Object} results - Validated analysis results object
+ * @param {string} granularity - request, prompt or match
+ * @returns {Array<{payload: Object, dedupeKey: string}>} - Messages, with a key that is stable across republishing
  */
-function extractMatches(results) {
-  if (!results) {
-    return [];
-  }
+function splitResultsMessage(results, granularity) {
+  const promptResults = results.results.results;
+  const hasMatches = promptResults.some(result => result.matches.length > 0);
 
-  if (Array.isArray(results.matches)) {
-    return results.matches;
+  if (granularity === 'prompt' && promptResults.length > 0) {
+    return promptResults.map((result, promptIndex) => ({
+      payload: { ...results, results: { ...results.results, results: [result] } },
+      dedupeKey: `${results.trace_id}:${promptIndex}`
+    }));
   }
 
-  if (Array.isArray(results.results?.[0]?.matches)) {
-    return results.results[0].matches;
+  if (granularity === 'match' && hasMatches) {
+    return promptResults.flatMap((result, promptIndex) => result.matches.map((match, matchIndex) => ({
+      payload: { ...results, results: { ...results.results, results: [{ ...result, matches: [match] }] } },
+      dedupeKey: `${results.trace_id}:${promptIndex}:${match.identifier || matchIndex}`
+    })));
   }
 
-  if (Array.isArray(results.results)) {
-    return results.results.flatMap(r => 
-      Array.isArray(r.matches) ? r.matches.map(m => ({...m, prompt: r.prompt})) : []
-    );
-  }
-
-  return [];
+  return [{ payload: results, dedupeKey: results.trace_id }];
 }
 
 /**
  * Publish BOE analysis results to the main topic
+ * Published as one message, or one per prompt or per match (config.services.pubsub.publishGranularity)
+ * Payloads that fail validation or publishing are sent to the DLQ topic before the error is thrown
  * @param {Object} results - Analysis results object
- * @returns {Promise<string|null>} - Message ID or null if topic not configured
+ * @param {Object} [options={}] - Options { deadLetter: false to skip the DLQ, e.g. when replaying from it }
+ * @returns {Promise<string|null>} - ID of the first message published or null if topic not configured
  */
-export async function publishResults(results) {
+export async function publishResults(results, options = {}) {
+  const { deadLetter = true } = options;
   let topic;
   try {
       topic = getMainTopic();
@@ -186,19 +216,27 @@ export async function publishResults(results) {
     validateBoeParserMessage(results);
   } catch (validationError) {
     console.error(`Message validation failed - Trace ID: ${results.trace_id}`, { 
-      error: validationError.message,
+      errors: validationError.errors || [validationError.message],
       trace_id: results.trace_id
     });
+    if (deadLetter) {
+      await publishToDLQ(results, validationError, 'validation');
+    }
     // Re-throw with more context
     throw createServiceError(`Failed to validate message: ${validationError.message}`, {
       cause: validationError,
       messageId: results.trace_id,
+      stage: 'validation',
+      validationErrors: validationError.errors,
     });
   }
 
   // Add trace ID to attributes if available
-  const attributes = {};
+  // schema_version lets consumers pin the message versions they understand
+  const attributes = { schema_version: BOE_PARSER_RESULT_SCHEMA_VERSION };
   if (results.trace_id) attributes.traceId = results.trace_id;
+  // Lets the notification worker tell "nothing published today" from a failed fetch without parsing the body
+  if (results.metadata?.status) attributes.status = results.metadata.status;
   // Only add attributes with non-empty values
   if (results.request?.subscription_id && results.request.subscription_id !== "") {
     attributes.subscriptionId = results.request.subscription_id;
@@ -226,12 +264,31 @@ export async function publishResults(results) {
     metadata: results.metadata
   });
 
+  let granularity = getPublishGranularity();
+  const messages = splitResultsMessage(results, granularity);
+  if (messages[0].payload === results) {
+    granularity = 'request';
+  }
+  // Ordering only matters when a request is split into several messages
+  const orderingKey = messages.length > 1 ? attributes.subscriptionId : undefined;
+
   try {
-    return await publishMessageInternal(topic, results, attributes);
+    // dedupeKey lets the worker skip messages redelivered or republished after a partial failure
+    const messageIds = await Promise.all(messages.map(({ payload, dedupeKey }, index) =>
+      publishMessageInternal(topic, payload, {
+        ...attributes,
+        granularity,
+        dedupeKey,
+        part: `${index + 1}/${messages.length}`
+      }, orderingKey)
+    ));
+    return messageIds[0];
   } catch (error) {
     // Error is already logged in publishMessageInternal
     console.error(`Failed to publish analysis results - Trace ID: ${results.trace_id}`, { error });
-    // Optionally, try sending to DLQ/Error topic here? For now, just rethrow.
+    if (deadLetter) {
+      await publishToDLQ(results, error, 'publish');
+    }
     throw error;
   }
 }
@@ -262,38 +319,44 @@ export async function publishError(errorContext) {
   }
 }
 
+// Attribute value marking DLQ messages that carry a results payload that could not be published,
+// as opposed to the error reports published by publishError on the same topic
+export const DLQ_FAILED_PUBLISH_KIND = 'failed_publish';
+
 /**
- * Publish failed message to DLQ
+ * Publish a results payload that could not be published to the DLQ topic
  * @param {Object} originalPayload - Original payload that failed
  * @param {Error} error - Error that occurred
- * @returns {Promise<string>} - Message ID
+ * @param {string} stage - Where publishing failed: validation or publish
+ * @returns {Promise<string|null>} - Message ID or null if the DLQ topic is not configured or publishing fails
  */
-async function publishToDLQ(originalPayload, error) {
-  try {
-    const dlqMessage = {
-      original_payload: originalPayload,
-      error: {
-        message: error.message,
-        stack: error.stack,
-        timestamp: new Date().toISOString(),
-      },
-    };
-    
-    const dataBuffer = Buffer.from(JSON.stringify(dlqMessage));
-    const messageId = await pubsubClient.topic(config.services.pubsub.errorTopicId).publish(dataBuffer);
-    
-    console.log({
-      messageId,
-      topicName: config.services.pubsub.errorTopicId,
-    }, 'Published failed message to DLQ');
+export async function publishToDLQ(originalPayload, error, stage) {
+  const topic = getErrorTopic();
+  if (!topic) {
+    console.error(`DLQ topic not configured, dropping failed message - Trace ID: ${originalPayload?.trace_id}`);
+    return null;
+  }
 
+  const dlqMessage = {
+    original_payload: originalPayload,
+    error: {
+      stage,
+      message: error.message,
+      code: error.code,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    },
+  };
+  // schema_version tells the replay which version the payload was built for
+  const attributes = { kind: DLQ_FAILED_PUBLISH_KIND, stage, schema_version: BOE_PARSER_RESULT_SCHEMA_VERSION };
+  if (originalPayload?.trace_id) attributes.traceId = originalPayload.trace_id;
+
+  try {
+    const messageId = await publishMessageInternal(topic, dlqMessage, attributes);
+    console.log(`Published failed message to DLQ - Trace ID: ${originalPayload?.trace_id}, Stage: ${stage}, Message ID: ${messageId}`);
     return messageId;
   } catch (dlqError) {
-    console.error({
-      error: dlqError,
-      originalError: error.message,
-    }, 'Failed to publish to DLQ');
-    
+    console.error(`CRITICAL: Failed to publish to DLQ - Trace ID: ${originalPayload?.trace_id}, Original Error: ${error.message}`, { error: dlqError });
     return null;
   }
 }
\ No newline at end of file
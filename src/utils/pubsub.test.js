@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { topics, PubSub } = vi.hoisted(() => {
+  const topics = [];
+  const PubSub = vi.fn(() => ({
+    topic: vi.fn((name, options) => {
+      const topic = {
+        name,
+        options,
+        publishMessage: vi.fn(async () => `message-${topic.publishMessage.mock.calls.length}`),
+        resumePublishing: vi.fn()
+      };
+      topics.push(topic);
+      return topic;
+    })
+  }));
+  return { topics, PubSub };
+});
+
+vi.mock('@google-cloud/pubsub', () => ({ PubSub }));
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const match = identifier => ({ identifier, title: `Disposición ${identifier}`, relevance_score: 0.8 });
+
+/**
+ * Build a valid results message
+ * @param {...Array<Object>} matchesByPrompt - Matches of each prompt
+ * @returns {Object} - Results message
+ */
+function buildResults(...matchesByPrompt) {
+  return {
+    trace_id: 'trace-1',
+    request: { subscription_id: 'sub-1', user_id: 'user-1', texts: matchesByPrompt.map((_, index) => `prompt ${index}`) },
+    results: {
+      boe_info: { publication_date: '2025-03-20', source_url: 'https://www.boe.es' },
+      query_date: '2025-03-20',
+      results: matchesByPrompt.map((matches, index) => ({ prompt: `prompt ${index}`, matches }))
+    },
+    metadata: { processing_time_ms: 10, total_items_processed: 5, status: 'success' }
+  };
+}
+
+/**
+ * Publish a results message with fresh modules, as the topic client and its ordering are set on first use
+ * @param {string} granularity - Publish granularity
+ * @param {Object} results - Results message
+ * @returns {Promise<{topic: Object, messages: Array<Object>}>} - Main topic and the messages published to it
+ */
+async function publishWith(granularity, results) {
+  const { default: config } = await import('../config/config.js');
+  Object.assign(config.services.pubsub, { topicId: 'results', publishGranularity: granularity });
+  const { publishResults } = await import('./pubsub.js');
+
+  await publishResults(results);
+
+  const topic = topics.find(({ name }) => name === 'results');
+  const messages = topic.publishMessage.mock.calls.map(([message]) => ({
+    ...message,
+    data: JSON.parse(message.data.toString())
+  }));
+  return { topic, messages };
+}
+
+const matchIds = message => message.data.results.results.map(result => result.matches.map(({ identifier }) => identifier));
+
+describe('publishResults', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    topics.length = 0;
+  });
+
+  it('publishes a request as one unordered message', async () => {
+    const { topic, messages } = await publishWith('request', buildResults([match('BOE-A-2025-1')], [match('BOE-A-2025-2')]));
+
+    expect(topic.options).toEqual({ messageOrdering: false });
+    expect(messages).toHaveLength(1);
+    expect(messages[0].orderingKey).toBeUndefined();
+    expect(messages[0].attributes).toMatchObject({
+      granularity: 'request',
+      dedupeKey: 'trace-1',
+      part: '1/1',
+      subscriptionId: 'sub-1',
+      status: 'success'
+    });
+    expect(matchIds(messages[0])).toEqual([['BOE-A-2025-1'], ['BOE-A-2025-2']]);
+  });
+
+  it('publishes one message per prompt, ordered by subscription', async () => {
+    const { topic, messages } = await publishWith('prompt', buildResults([match('BOE-A-2025-1')], []));
+
+    expect(topic.options).toEqual({ messageOrdering: true });
+    expect(messages.map(({ attributes }) => [attributes.granularity, attributes.dedupeKey, attributes.part])).toEqual([
+      ['prompt', 'trace-1:0', '1/2'],
+      ['prompt', 'trace-1:1', '2/2']
+    ]);
+    expect(messages.map(matchIds)).toEqual([[['BOE-A-2025-1']], [[]]]);
+    expect(messages.every(({ orderingKey }) => orderingKey === 'sub-1')).toBe(true);
+    expect(messages[1].data.request).toEqual(messages[0].data.request);
+  });
+
+  it('publishes one message per match, keyed by its identifier', async () => {
+    const { messages } = await publishWith('match', buildResults(
+      [match('BOE-A-2025-1'), { title: 'Sin identificador' }],
+      [match('BOE-A-2025-2')]
+    ));
+
+    expect(messages.map(({ attributes }) => [attributes.dedupeKey, attributes.part])).toEqual([
+      ['trace-1:0:BOE-A-2025-1', '1/3'],
+      ['trace-1:0:1', '2/3'],
+      ['trace-1:1:BOE-A-2025-2', '3/3']
+    ]);
+    expect(messages.map(message => message.data.results.results[0].prompt)).toEqual(['prompt 0', 'prompt 0', 'prompt 1']);
+    expect(messages.every(({ orderingKey }) => orderingKey === 'sub-1')).toBe(true);
+  });
+
+  it('publishes a request without matches whole', async () => {
+    const results = buildResults([], []);
+
+    const { messages } = await publishWith('match', results);
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].data).toEqual(results);
+    expect(messages[0].attributes).toMatchObject({ granularity: 'request', dedupeKey: 'trace-1', part: '1/1' });
+    expect(messages[0].orderingKey).toBeUndefined();
+  });
+
+  it('does not order a request split into a single message', async () => {
+    const { messages } = await publishWith('prompt', buildResults([match('BOE-A-2025-1')]));
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].attributes).toMatchObject({ granularity: 'prompt', dedupeKey: 'trace-1:0', part: '1/1' });
+    expect(messages[0].orderingKey).toBeUndefined();
+  });
+});
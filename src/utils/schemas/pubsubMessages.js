@@ -5,9 +5,15 @@
  * It can be imported in both the producer (BOE parser) and consumer (notification worker)
  * to ensure consistent message validation.
  */
+import { createRequire } from 'module';
+import Ajv from 'ajv';
+
+const require = createRequire(import.meta.url);
 
 /**
  * Message structure for BOE parser results
+ * The full contract, including each match's fields, length limits and 0-1 relevance_score, is the
+ * versioned JSON Schema in boe-parser-result.v<major>.json
  * 
  * @typedef {Object} BoeParserResultMessage
  * @property {string} trace_id - Unique identifier for tracing the request
@@ -17,48 +23,149 @@
  * @property {string[]} request.texts - Array of prompts/search texts
  * @property {Object} results - Analysis results
  * @property {Object} results.boe_info - BOE metadata
+ * @property {string} [results.boe_info.bulletin_type] - Bulletin the issue came from (BOE, BORME, DOGA)
  * @property {string} results.boe_info.publication_date - Publication date in YYYY-MM-DD format
+ * @property {string} [results.boe_info.issue_number] - BOE issue number
+ * @property {string} [results.boe_info.sumario_id] - Sumario identifier (BOE-S-YYYY-N)
+ * @property {string} [results.boe_info.sumario_pdf_url] - PDF of the full sumario
+ * @property {number} [results.boe_info.total_pages] - Number of pages in the issue
  * @property {string} results.boe_info.source_url - Source URL
  * @property {string} results.query_date - Query date in YYYY-MM-DD format
  * @property {Array} results.results - Results for each prompt
  * @property {Object} metadata - Processing metadata
  * @property {number} metadata.processing_time_ms - Processing time in milliseconds
  * @property {number} metadata.total_items_processed - Total number of items processed
- * @property {string} metadata.status - Processing status
+ * @property {string} metadata.status - Processing status: success, no_issue_published, upstream_unavailable, malformed_xml or partial (date ranges)
+ * @property {boolean} [metadata.from_cache] - Whether the issue was served from the sumario cache
+ * @property {number} [metadata.already_notified] - Matches the subscription had already been notified of (since schema 1.1)
+ * @property {string} [metadata.status_message] - Error message when the BOE issue could not be fetched or parsed
+ */
+
+// Versions of the results message schema, by schema_version attribute value
+// Minor versions only add optional fields. 2.0 is a major bump: relevance_score goes from 0-100 to 0-1,
+// so consumers of 1.x must be updated, and 1.x messages are brought to 2.0 with upgradeBoeParserMessage
+export const BOE_PARSER_RESULT_SCHEMA_VERSION = '2.0';
+
+// Each major version's file holds its latest minor version, a superset of the earlier ones
+const resultSchemaV1 = require('./boe-parser-result.v1.json');
+const resultSchemaV2 = require('./boe-parser-result.v2.json');
+const resultSchemas = {
+  '1.0': resultSchemaV1,
+  '1.1': resultSchemaV1, // Adds already_notified to matches and metadata
+  '2.0': resultSchemaV2 // relevance_score goes from 0-100 to 0-1
+};
+
+// Validators compiled on first use, by schema version
+const resultValidators = new Map();
+
+/**
+ * Get the JSON Schema of a results message version
+ * @param {string} [version=BOE_PARSER_RESULT_SCHEMA_VERSION] - Schema version
+ * @returns {Object|null} - JSON Schema or null if the version is unknown
+ */
+export function getBoeParserMessageSchema(version = BOE_PARSER_RESULT_SCHEMA_VERSION) {
+  return resultSchemas[version] || null;
+}
+
+/**
+ * Format an Ajv error as a readable violation
+ * @param {Object} error - Ajv error object
+ * @returns {string} - Violation, e.g. "results/results/0/matches/1/title must be string"
  */
+export function formatSchemaError(error) {
+  const path = error.instancePath.replace(/^\//, '') || 'message';
+  return `${path} ${error.message}`;
+}
 
 /**
- * Validates a BOE parser result message
+ * Validates a BOE parser result message against its JSON Schema
  * 
  * @param {Object} message - Message object to validate
- * @returns {boolean} True if valid, throws error if invalid
+ * @param {string} [version=BOE_PARSER_RESULT_SCHEMA_VERSION] - Schema version to validate against
+ * @returns {boolean} True if valid, throws error listing every violation (in error.errors) if invalid
  */
-export function validateBoeParserMessage(message) {
-  // Check required fields
+export function validateBoeParserMessage(message, version = BOE_PARSER_RESULT_SCHEMA_VERSION) {
   if (!message) throw new Error('Message cannot be null or undefined');
-  if (!message.trace_id) throw new Error('Missing required field: trace_id');
-  
-  // Validate request object
-  if (!message.request) throw new Error('Missing required field: request');
-  if (typeof message.request.subscription_id !== 'string') throw new Error('request.subscription_id must be a string');
-  if (typeof message.request.user_id !== 'string') throw new Error('request.user_id must be a string');
-  if (!Array.isArray(message.request.texts)) throw new Error('request.texts must be an array');
-  
-  // Validate results object
-  if (!message.results) throw new Error('Missing required field: results');
-  if (!message.results.boe_info) throw new Error('Missing required field: results.boe_info');
-  if (!message.results.query_date) throw new Error('Missing required field: results.query_date');
-  if (!Array.isArray(message.results.results)) throw new Error('results.results must be an array');
-  
-  // Validate metadata object
-  if (!message.metadata) throw new Error('Missing required field: metadata');
-  if (typeof message.metadata.processing_time_ms !== 'number') throw new Error('metadata.processing_time_ms must be a number');
-  if (typeof message.metadata.total_items_processed !== 'number') throw new Error('metadata.total_items_processed must be a number');
-  if (typeof message.metadata.status !== 'string') throw new Error('metadata.status must be a string');
+
+  const schema = getBoeParserMessageSchema(version);
+  if (!schema) throw new Error(`Unknown message schema version: ${version}`);
+
+  if (!resultValidators.has(version)) {
+    resultValidators.set(version, new Ajv({ allErrors: true }).compile(schema));
+  }
+  const validate = resultValidators.get(version);
+
+  if (!validate(message)) {
+    const errors = validate.errors.map(formatSchemaError);
+    const error = new Error(`Message does not match schema ${version}: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
   
   return true;
 }
 
+/**
+ * Bring a results message built for an earlier schema version to the current one
+ * 1.x messages score matches from 0 to 100, 2.0 from 0 to 1
+ * @param {Object} message - Results message
+ * @param {string} version - Schema version the message was built for
+ * @returns {Object} - Message following BOE_PARSER_RESULT_SCHEMA_VERSION, a copy if anything changed
+ */
+export function upgradeBoeParserMessage(message, version) {
+  if (!getBoeParserMessageSchema(version)) throw new Error(`Unknown message schema version: ${version}`);
+  if (!version.startsWith('1.')) return message;
+
+  const results = (message.results?.results || []).map(result => ({
+    ...result,
+    matches: (result.matches || []).map(match => (typeof match.relevance_score === 'number'
+      ? { ...match, relevance_score: match.relevance_score / 100 }
+      : match))
+  }));
+  return { ...message, results: { ...message.results, results } };
+}
+
+/**
+ * Message structure for analysis tasks consumed from the boe-analysis-tasks topic
+ *
+ * @typedef {Object} BoeAnalysisTaskMessage
+ * @property {string} task_id - Unique identifier for the task
+ * @property {string} [service_id] - Target service identifier
+ * @property {string} [timestamp] - Task creation timestamp (ISO 8601)
+ * @property {number} [retry_count] - Number of retry attempts made by the producer
+ * @property {number} [max_retries] - Maximum number of retries before the task is given up
+ * @property {Object} payload - Analysis request, same fields as POST /api/analyze-text
+ * @property {string[]} payload.texts - Prompts to analyze (required, non-empty)
+ * @property {string} [payload.subscription_id] - ID of the subscription
+ * @property {string} [payload.user_id] - ID of the user
+ * @property {string} [payload.date] - Issue date in YYYY-MM-DD format
+ * @property {string} [payload.date_from] - Start of a date range in YYYY-MM-DD format
+ * @property {string} [payload.date_to] - End of a date range in YYYY-MM-DD format
+ * @property {string} [payload.bulletin] - Bulletin to analyze (BOE, BORME, DOGA)
+ * @property {boolean} [payload.full_text] - Refine the matches with the dispositions' full text
+ * @property {Object} [payload.metadata] - Request tracking information (client_id, request_id, correlation_id)
+ */
+
+/**
+ * Validates the envelope of an analysis task message
+ *
+ * @param {Object} message - Task message to validate
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+export function validateAnalysisTaskMessage(message) {
+  if (!message || typeof message !== 'object') throw new Error('Message must be an object');
+  if (!message.task_id || typeof message.task_id !== 'string') throw new Error('Missing required field: task_id');
+  if (message.max_retries !== undefined && (!Number.isInteger(message.max_retries) || message.max_retries < 0)) {
+    throw new Error('max_retries must be a non-negative integer');
+  }
+
+  // The payload itself is checked by the worker with the /api/analyze-text request validation
+  const { payload } = message;
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error('Missing required field: payload');
+
+  return true;
+}
+
 /**
  * Creates a default valid BOE parser message structure with placeholder values
  * 
@@ -89,6 +196,9 @@ export function createDefaultBoeParserMessage() {
 }
 
 export default {
+  BOE_PARSER_RESULT_SCHEMA_VERSION,
+  getBoeParserMessageSchema,
   validateBoeParserMessage,
+  validateAnalysisTaskMessage,
   createDefaultBoeParserMessage
 }; 
\ No newline at end of file
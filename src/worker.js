@@ -0,0 +1,52 @@
+/**
+ * BOE Parser task worker - entry point
+ * Pulls analysis tasks from Pub/Sub instead of serving HTTP requests
+ */
+import config, { loadSecrets, validateConfig } from './config/config.js';
+import { startTaskSubscriber } from './services/tasks/index.js';
+import { startOutboxFlusher, stopOutboxFlusher } from './services/outbox/index.js';
+
+/**
+ * Initialize worker
+ */
+async function init() {
+  try {
+    // Load secrets in production
+    if (config.env.IS_PRODUCTION) {
+      await loadSecrets();
+    }
+
+    // The worker has no HTTP API, so the API key is not required
+    const missingKeys = validateConfig().filter(key => key !== 'auth.apiKey');
+    if (missingKeys.length > 0) {
+      console.error('Missing required configuration:', missingKeys);
+      process.exit(1);
+    }
+
+    // Results are published through the outbox, which a previous run may have left non-empty
+    startOutboxFlusher();
+    const subscription = startTaskSubscriber();
+
+    // Stop pulling on shutdown; unacked messages are redelivered to another worker
+    const shutdown = async signal => {
+      console.log(`${signal} received, closing task subscription`);
+      await subscription.close();
+      // Unpublished results stay in the outbox for the next start
+      await stopOutboxFlusher();
+      process.exit(0);
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  } catch (error) {
+    console.error('Failed to initialize worker:', error);
+    process.exit(1);
+  }
+}
+
+// Start worker
+init();
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (error) => {
+  console.error('Unhandled promise rejection:', error);
+});